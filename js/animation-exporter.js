@@ -0,0 +1,441 @@
+// js/animation-exporter.js - Export Sign Animations (WebM, animated GIF, animated SVG)
+
+const AnimationExporter = {
+  // Frames per second for each format
+  frameRates: {
+    webm: 30,
+    gif: 10,
+    svg: 15
+  },
+
+  width: 360,
+
+  // Still frames at the end before the animation loops
+  endHold: 800,
+
+  colors: {
+    background: '#FFFFFF',
+    captionBackground: '#F3F4F6',
+    captionText: '#111827',
+    captionMuted: '#6B7280'
+  },
+
+  videoTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+
+  // Export a sign sequence with the avatar's current look and playback speed.
+  // options: { format: 'webm' | 'gif' | 'svg', captions, width, onProgress(fraction) }
+  async exportSequence(signs, options = {}) {
+    const { format = 'webm', captions = true, width = this.width, onProgress = null } = options;
+
+    if (!signs || signs.length === 0) {
+      throw new Error('Nothing to export - translate some text first');
+    }
+
+    const session = this.createSession(signs, {
+      width,
+      captions,
+      fps: this.frameRates[format],
+      config: AvatarManager.currentConfig || AvatarManager.defaultConfig
+    });
+
+    let blob;
+    if (format === 'webm') {
+      blob = await this.recordVideo(session, onProgress);
+    } else if (format === 'gif') {
+      blob = await this.encodeGif(session, onProgress);
+    } else if (format === 'svg') {
+      blob = this.buildAnimatedSVG(session, onProgress);
+    } else {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const filename = `signs-${Date.now()}.${format}`;
+    Utils.downloadFile(blob, filename, blob.type);
+
+    return { blob, filename };
+  },
+
+  // Off-screen avatar with its own animator, laid out with the sequence
+  createSession(signs, { width, captions, fps, config }) {
+    const container = document.createElement('div');
+    container.innerHTML = AvatarManager.generateAvatarSVG(config, width);
+
+    const svg = container.querySelector('svg');
+    const avatarHeight = Math.round(width * 4 / 3);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', avatarHeight);
+
+    const animator = AvatarAnimator.createInstance(container);
+    animator.loadSequence(signs);
+
+    const speed = AvatarAnimator.animationSpeed;
+    const duration = animator.timeline.duration;
+    const frameCount = Math.ceil((duration / speed + this.endHold) * fps / 1000) + 1;
+
+    return {
+      signs,
+      groups: this.getCaptionGroups(signs),
+      svg,
+      animator,
+      config,
+      fps,
+      speed,
+      duration,
+      frameCount,
+      width,
+      avatarHeight,
+      captions,
+      captionHeight: captions ? Math.round(width * 0.18) : 0
+    };
+  },
+
+  // Pose the off-screen avatar for a frame and return the animator state
+  seekFrame(session, index) {
+    const { animator, fps, speed, duration } = session;
+    const time = Math.min(index * 1000 / fps * speed, duration);
+
+    animator.timeline.time = time;
+    animator.applyFrame(time);
+
+    return animator.getState();
+  },
+
+  // === CAPTIONS === //
+
+  // One caption per word; fingerspelled letters and repeated (plural) signs join their word
+  getCaptionGroups(signs) {
+    const groups = [];
+
+    signs.forEach((sign, index) => {
+      const last = groups[groups.length - 1];
+
+      if (last && (sign.letterIndex > 0 || sign.repeated)) {
+        last.to = index;
+        return;
+      }
+      groups.push({ from: index, to: index, sign });
+    });
+
+    return groups;
+  },
+
+  // Caption lines for a frame: gloss (or letters so far) and the English word
+  getCaption(session, state) {
+    const finished = state.time >= state.duration;
+    const index = finished ? session.signs.length - 1 : state.signIndex;
+    const group = session.groups.find(({ from, to }) => index >= from && index <= to);
+    if (!group) return null;
+
+    const { sign, from } = group;
+    const title = sign.letter
+      ? session.signs.slice(from, index + 1).map(letterSign => letterSign.letter).join(' ')
+      : sign.gloss;
+
+    return { title, subtitle: sign.word || '' };
+  },
+
+  // === CANVAS FRAMES (WebM and GIF) === //
+
+  createCanvas(session) {
+    const canvas = document.createElement('canvas');
+    canvas.width = session.width;
+    canvas.height = session.avatarHeight + session.captionHeight;
+    return canvas;
+  },
+
+  // Draw one frame: the posed avatar and, optionally, its caption
+  async drawFrame(session, ctx, index) {
+    const state = this.seekFrame(session, index);
+    const image = await this.loadImage(new XMLSerializer().serializeToString(session.svg));
+
+    ctx.fillStyle = this.colors.background;
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.drawImage(image, 0, 0, session.width, session.avatarHeight);
+
+    if (session.captions) {
+      this.drawCaption(session, ctx, this.getCaption(session, state));
+    }
+  },
+
+  drawCaption(session, ctx, caption) {
+    const { width, avatarHeight, captionHeight } = session;
+
+    ctx.fillStyle = this.colors.captionBackground;
+    ctx.fillRect(0, avatarHeight, width, captionHeight);
+    if (!caption) return;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.fillStyle = this.colors.captionText;
+    ctx.font = `bold ${Math.round(captionHeight * 0.36)}px sans-serif`;
+    ctx.fillText(caption.title, width / 2, avatarHeight + captionHeight * 0.38, width - 16);
+
+    ctx.fillStyle = this.colors.captionMuted;
+    ctx.font = `${Math.round(captionHeight * 0.24)}px sans-serif`;
+    ctx.fillText(caption.subtitle, width / 2, avatarHeight + captionHeight * 0.76, width - 16);
+  },
+
+  loadImage(svgString) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+      const image = new Image();
+
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to render avatar frame'));
+      };
+      image.src = url;
+    });
+  },
+
+  // Record the canvas in real time with MediaRecorder
+  async recordVideo(session, onProgress) {
+    const canvas = this.createCanvas(session);
+
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+      throw new Error('Video export is not supported in this browser');
+    }
+
+    const mimeType = this.videoTypes.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+      throw new Error('WebM recording is not supported in this browser');
+    }
+
+    const ctx = canvas.getContext('2d');
+    const stream = canvas.captureStream(session.fps);
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    await this.drawFrame(session, ctx, 0);
+    recorder.start();
+
+    // Keep frames on the wall clock; a slow frame only delays its own slot
+    const interval = 1000 / session.fps;
+    const start = performance.now();
+
+    for (let i = 0; i < session.frameCount; i++) {
+      await this.drawFrame(session, ctx, i);
+      if (onProgress) onProgress(i / session.frameCount);
+
+      const wait = start + (i + 1) * interval - performance.now();
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+    }
+
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+
+    if (onProgress) onProgress(1);
+    return new Blob(chunks, { type: 'video/webm' });
+  },
+
+  // Draw every frame and encode it with the avatar's own colours as the palette
+  async encodeGif(session, onProgress) {
+    const canvas = this.createCanvas(session);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const gif = GifEncoder.create(canvas.width, canvas.height, this.getPalette(session));
+    const delay = 1000 / session.fps;
+
+    for (let i = 0; i < session.frameCount; i++) {
+      await this.drawFrame(session, ctx, i);
+      GifEncoder.addFrame(gif, ctx.getImageData(0, 0, canvas.width, canvas.height), delay);
+      if (onProgress) onProgress(i / session.frameCount);
+    }
+
+    if (onProgress) onProgress(1);
+    return GifEncoder.finish(gif);
+  },
+
+  // Colours used by the avatar and captions, plus blends between them for
+  // anti-aliased edges
+  getPalette(session) {
+    const svgColors = new XMLSerializer().serializeToString(session.svg).match(/#([0-9a-f]{3}){1,2}\b/gi) || [];
+    const base = [...new Set([...Object.values(this.colors), ...svgColors].map(color => this.normalizeColor(color)))];
+    const palette = [...base];
+
+    for (let i = 0; i < base.length && palette.length < 256; i++) {
+      for (let j = i + 1; j < base.length && palette.length < 256; j++) {
+        [0.25, 0.5, 0.75].forEach(t => {
+          if (palette.length < 256) palette.push(this.mixColors(base[i], base[j], t));
+        });
+      }
+    }
+
+    return palette;
+  },
+
+  // '#abc' and '#aabbcc' as '#AABBCC'
+  normalizeColor(color) {
+    const hex = color.slice(1).toUpperCase();
+    return '#' + (hex.length === 3 ? hex.replace(/./g, digit => digit + digit) : hex);
+  },
+
+  mixColors(a, b, t) {
+    const [ar, ag, ab] = GifEncoder.hexToRgb(a);
+    const [br, bg, bb] = GifEncoder.hexToRgb(b);
+    return '#' + [ar + (br - ar) * t, ag + (bg - ag) * t, ab + (bb - ab) * t]
+      .map(value => Math.round(value).toString(16).padStart(2, '0'))
+      .join('');
+  },
+
+  // === ANIMATED SVG === //
+
+  // Self-contained SVG: rig, face and head attributes sampled per frame as SMIL animations
+  buildAnimatedSVG(session, onProgress) {
+    const { svg, frameCount } = session;
+
+    // Posed once first so the head groups have their transforms
+    this.seekFrame(session, 0);
+    const targets = [
+      ...Array.from(svg.querySelectorAll('[transform]'), element => ({ element, attribute: 'transform' })),
+      ...Array.from(svg.querySelectorAll('#arms line'), element => ({ element, attribute: 'y2' })),
+      ...Array.from(svg.querySelectorAll('#mouth path'), element => ({ element, attribute: 'd' })),
+      ...Array.from(svg.querySelectorAll('#eyebrows path'), element => ({ element, attribute: 'd' })),
+      ...Array.from(svg.querySelectorAll('#eyes ellipse'), element => ({ element, attribute: 'ry' }))
+    ];
+    targets.forEach(target => { target.values = []; });
+
+    const captions = [];
+    for (let i = 0; i < frameCount; i++) {
+      const state = this.seekFrame(session, i);
+      targets.forEach(target => target.values.push(target.element.getAttribute(target.attribute)));
+      captions.push(this.getCaption(session, state));
+      if (onProgress) onProgress(i / frameCount);
+    }
+
+    // Start from the first frame so viewers without SMIL still see the avatar
+    this.seekFrame(session, 0);
+
+    const dur = `${(frameCount / session.fps).toFixed(2)}s`;
+    targets
+      .filter(({ values }) => values.some(value => value !== values[0]))
+      .forEach(target => this.addAnimation(target, dur));
+
+    if (session.captions) {
+      this.addCaptions(session, captions, dur);
+    }
+
+    if (onProgress) onProgress(1);
+    return new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+  },
+
+  // Animate one attribute; rig transforms are a translate plus an added rotate
+  addAnimation({ element, attribute, values }, dur) {
+    if (attribute !== 'transform') {
+      this.appendSMIL(element, 'animate', { attributeName: attribute, ...this.getKeyframes(values), dur });
+      return;
+    }
+
+    const parts = values.map(value => value.match(/translate\(([^)]*)\)\s*rotate\(([^)]*)\)/));
+    if (parts.some(part => !part)) return;
+
+    this.appendSMIL(element, 'animateTransform', {
+      attributeName: 'transform',
+      type: 'translate',
+      ...this.getKeyframes(parts.map(part => part[1])),
+      dur
+    });
+    this.appendSMIL(element, 'animateTransform', {
+      attributeName: 'transform',
+      type: 'rotate',
+      additive: 'sum',
+      ...this.getKeyframes(parts.map(part => part[2])),
+      dur
+    });
+  },
+
+  // Evenly sampled values as values/keyTimes, without frames that just hold
+  getKeyframes(values) {
+    const last = values.length - 1;
+    const kept = values
+      .map((value, i) => ({ value, time: i / last }))
+      .filter(({ value }, i) => i === 0 || i === last || value !== values[i - 1] || value !== values[i + 1]);
+
+    return {
+      values: kept.map(({ value }) => value).join(';'),
+      keyTimes: kept.map(({ time }) => +time.toFixed(4)).join(';')
+    };
+  },
+
+  // Caption band below the avatar; each caption is shown during its frames
+  addCaptions(session, captions, dur) {
+    const { svg, frameCount } = session;
+    const band = 70;
+    const namespace = 'http://www.w3.org/2000/svg';
+
+    svg.setAttribute('viewBox', `0 0 300 ${400 + band}`);
+    svg.setAttribute('height', Math.round(session.width * (400 + band) / 300));
+
+    const background = document.createElementNS(namespace, 'rect');
+    Object.entries({ x: 0, y: 400, width: 300, height: band, fill: this.colors.captionBackground })
+      .forEach(([name, value]) => background.setAttribute(name, value));
+    svg.appendChild(background);
+
+    // Runs of frames with the same caption
+    const runs = [];
+    captions.forEach((caption, i) => {
+      const last = runs[runs.length - 1];
+      if (last && JSON.stringify(last.caption) === JSON.stringify(caption)) {
+        last.to = i + 1;
+      } else {
+        runs.push({ caption, from: i, to: i + 1 });
+      }
+    });
+
+    runs.filter(run => run.caption).forEach(({ caption, from, to }) => {
+      const group = document.createElementNS(namespace, 'g');
+      group.setAttribute('font-family', 'sans-serif');
+      group.setAttribute('text-anchor', 'middle');
+      group.setAttribute('visibility', from === 0 ? 'visible' : 'hidden');
+
+      [
+        { text: caption.title, y: 430, size: 24, weight: 'bold', fill: this.colors.captionText },
+        { text: caption.subtitle, y: 456, size: 16, weight: 'normal', fill: this.colors.captionMuted }
+      ].forEach(({ text, y, size, weight, fill }) => {
+        const line = document.createElementNS(namespace, 'text');
+        Object.entries({ x: 150, y, 'font-size': size, 'font-weight': weight, fill })
+          .forEach(([name, value]) => line.setAttribute(name, value));
+        line.textContent = text;
+        group.appendChild(line);
+      });
+
+      // Discrete steps: hidden before the run, visible during it, hidden after
+      const steps = [
+        ...(from > 0 ? [['hidden', 0]] : []),
+        ['visible', from / frameCount],
+        ...(to < frameCount ? [['hidden', to / frameCount]] : [])
+      ];
+      this.appendSMIL(group, 'animate', {
+        attributeName: 'visibility',
+        calcMode: 'discrete',
+        values: steps.map(([value]) => value).join(';'),
+        keyTimes: steps.map(([, time]) => +time.toFixed(4)).join(';'),
+        dur
+      });
+
+      svg.appendChild(group);
+    });
+  },
+
+  appendSMIL(element, tag, attributes) {
+    const animation = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries({ ...attributes, repeatCount: 'indefinite' })
+      .forEach(([name, value]) => animation.setAttribute(name, value));
+    element.appendChild(animation);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AnimationExporter;
+}
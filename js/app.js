@@ -28,9 +28,6 @@ const App = {
       // Setup offline detection
       this.setupOfflineDetection();
 
-      // Setup visibility change handler
-      this.setupVisibilityHandler();
-
       // Load current user if exists
       await this.loadCurrentUser();
 
@@ -166,19 +163,6 @@ const App = {
     });
   },
 
-  // Setup visibility change handler
-  setupVisibilityHandler() {
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) {
-        console.log('App hidden');
-        // Pause intensive operations
-      } else {
-        console.log('App visible');
-        // Resume operations
-      }
-    });
-  },
-
   // Load current user
   async loadCurrentUser() {
     const userId = Utils.getLocalStorage('currentUserId');
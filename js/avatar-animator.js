@@ -3,9 +3,25 @@
 const AvatarAnimator = {
   avatarElement: null,
   isAnimating: false,
+  isPaused: false,
   currentAnimation: null,
-  animationQueue: [],
   animationSpeed: 1.0,
+  signDuration: 1200,
+  letterDuration: 450,
+
+  // Last sign sequence, for repeat
+  lastSequence: null,
+
+  // Optional callback with getState() on every frame, seek and pause
+  onProgress: null,
+
+  // Accessibility: reduced motion turns the idle animation off, high contrast
+  // recolours the avatar and the 'step' presentation shows each sign's key pose
+  // as a still frame (held for at least stepDuration)
+  reduceMotion: false,
+  highContrast: false,
+  presentation: 'animated',
+  stepDuration: 1500,
 
   // Initialize animator
   init(avatarElementId, speed = 1.0) {
@@ -17,215 +33,1230 @@ const AvatarAnimator = {
       return false;
     }
 
+    this.stop();
+    this.updateBodyType();
+    this.pose = this.getRestPoses();
+    this.face = null;
+    this.brows = null;
+    this.head = null;
+    this.body = null;
+
+    if (typeof SettingsManager !== 'undefined') {
+      this.applyAccessibility(SettingsManager.getAccessibilitySettings());
+    }
+
     console.log('Avatar animator initialized');
     return true;
   },
 
-  // Animate hand gesture
-  animateGesture(gestureType, handedness = 'Right', duration = 1000) {
-    if (!this.avatarElement) return;
+  // Separate animator for another avatar element (e.g. an off-screen export).
+  // It shares the rig and timing settings but keeps its own timeline and pose.
+  createInstance(element) {
+    const instance = Object.create(this);
+
+    Object.assign(instance, {
+      avatarElement: element,
+      bodyType: 'default',
+      isAnimating: false,
+      isPaused: false,
+      currentAnimation: null,
+      lastSequence: null,
+      onProgress: null,
+      timeline: null,
+      frameId: null,
+      lastFrameTime: null,
+      idleInterval: null,
+      presentation: 'animated',
+      pose: this.getRestPoses(),
+      face: null,
+      brows: null,
+      head: null,
+      body: null
+    });
+
+    instance.updateBodyType();
+    return instance;
+  },
+
+  // Apply SettingsManager.getAccessibilitySettings()
+  applyAccessibility({ reduceMotion = false, highContrast = false, avatarPresentation = 'animated' } = {}) {
+    const recolor = highContrast || highContrast !== this.highContrast;
+
+    this.reduceMotion = reduceMotion;
+    this.highContrast = highContrast;
+    this.setPresentation(avatarPresentation);
+
+    if (reduceMotion) {
+      this.stopIdleAnimation();
+    }
+
+    if (recolor && this.avatarElement) {
+      this.renderAvatar();
+    }
+  },
+
+  // 'animated' or 'step' (still key poses)
+  setPresentation(mode) {
+    this.presentation = mode === 'step' ? 'step' : 'animated';
+
+    if (this.timeline && this.avatarElement) {
+      this.showFrame(this.timeline.time);
+    }
+  },
+
+  // Redraw the avatar (in the high-contrast palette when on) and restore its pose
+  renderAvatar() {
+    const config = AvatarManager.currentConfig || AvatarManager.defaultConfig;
+    AvatarManager.renderToElement(this.avatarElement,
+      this.highContrast ? AvatarManager.getHighContrastConfig(config) : config);
+    this.updateBodyType();
 
-    const animation = {
+    ['right', 'left'].forEach(side => {
+      if (this.pose[side]) this.setPose(side, this.pose[side]);
+    });
+    if (this.face) this.setExpression(this.face);
+    if (this.brows) this.setBrows(this.brows);
+    if (this.body) this.setBodyPose(this.body);
+    if (this.head) this.setHeadPose(this.head);
+  },
+
+  // Animate hand gesture (optionally moving along lexicon keyframes).
+  // options: { location, letter, alphabet, twoHanded } from a sign sequence item
+  animateGesture(gestureType, handedness = 'Right', duration = 1000, keyframes = null, options = {}) {
+    if (!this.avatarElement) return Promise.resolve();
+
+    this.appendGesture({
       type: 'gesture',
       gesture: gestureType,
       handedness,
-      duration: duration / this.animationSpeed
-    };
+      keyframes,
+      ...options,
+      duration
+    });
 
-    this.animationQueue.push(animation);
-    
-    if (!this.isAnimating) {
-      this.processQueue();
-    }
+    return this.play();
   },
 
   // Animate facial expression
   animateFacialExpression(mood, duration = 1000) {
-    if (!this.avatarElement) return;
+    if (!this.avatarElement) return Promise.resolve();
 
-    const animation = {
-      type: 'expression',
-      mood,
-      duration: duration / this.animationSpeed
-    };
+    this.appendExpression(mood, duration);
+    return this.play();
+  },
 
-    this.animationQueue.push(animation);
-    
-    if (!this.isAnimating) {
-      this.processQueue();
+  // Animate head or body movement: steps of { duration, x, y, angle }
+  animateMovement(channel, type, steps) {
+    if (!this.avatarElement) return Promise.resolve();
+
+    this.appendMovement(channel, type, steps);
+    return this.play();
+  },
+
+  // === TIMELINE === //
+  //
+  // Animations are laid out as keyframes on per-joint tracks ('right.hand',
+  // 'right.fingers', 'left.hand', 'left.fingers', 'face', 'brows', 'head', 'body').
+  // Keyframe times are in ms at normal speed; the clock scales real time by
+  // animationSpeed, so a speed change applies to the animation already playing.
+
+  timeline: null,
+  frameId: null,
+  lastFrameTime: null,
+
+  // Independent channels and the tracks they drive. Each channel plays its own
+  // animations in order; all channels play at once on the shared clock.
+  channels: {
+    rightHand: ['right.hand', 'right.fingers'],
+    leftHand: ['left.hand', 'left.fingers'],
+    head: ['head'],
+    face: ['face', 'brows'],
+    body: ['body']
+  },
+
+  // Consecutive signs blend without returning to rest, and the next handshape
+  // starts forming before the hand moves (co-articulation)
+  transitionDuration: 300,
+  anticipation: 120,
+  restDuration: 400,
+
+  easings: {
+    linear: t => t,
+    easeIn: t => t * t,
+    easeOut: t => 1 - (1 - t) * (1 - t),
+    easeInOut: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+  },
+
+  // Current timeline, or a new one starting from the avatar's present pose
+  getTimeline() {
+    if (!this.timeline || this.timeline.ended) {
+      let resolve;
+      const finished = new Promise(r => { resolve = r; });
+
+      this.timeline = { tracks: {}, items: [], time: 0, duration: 0, stopAt: null, sequence: null, finished, resolve };
+
+      ['right', 'left'].forEach(side => {
+        const { fingers, ...hand } = this.pose[side] || this.getRestPoses()[side];
+        this.addKeyframe(`${side}.hand`, 0, hand);
+        this.addKeyframe(`${side}.fingers`, 0, fingers);
+      });
+      this.addKeyframe('face', 0, this.face || this.getExpressionData('neutral'));
+      this.addKeyframe('brows', 0, this.brows || this.getBrowData('neutral'));
+      this.addKeyframe('head', 0, this.head || { x: 0, y: 0, angle: 0 });
+      this.addKeyframe('body', 0, this.body || { x: 0, y: 0, angle: 0 });
     }
+
+    return this.timeline;
   },
 
-  // Process animation queue
-  async processQueue() {
-    if (this.animationQueue.length === 0) {
-      this.isAnimating = false;
-      return;
+  addKeyframe(name, time, value, easing = 'easeInOut') {
+    const timeline = this.timeline;
+    const track = timeline.tracks[name] || (timeline.tracks[name] = []);
+    const last = track[track.length - 1];
+    const keyframe = { time: Math.max(time, last ? last.time : 0), value, easing };
+
+    track.push(keyframe);
+    timeline.duration = Math.max(timeline.duration, keyframe.time);
+    return keyframe;
+  },
+
+  // Keep a track's last value until a time
+  holdTrack(name, time) {
+    const track = this.timeline.tracks[name];
+    const last = track[track.length - 1];
+
+    if (time > last.time) {
+      this.addKeyframe(name, time, last.value, 'linear');
+    }
+  },
+
+  getChannelTracks(channels) {
+    return channels.flatMap(channel => this.channels[channel]);
+  },
+
+  // When channels are free for a new animation: after their last keyframe that
+  // is not a return to rest (never in the past)
+  getChannelEnd(channels) {
+    const timeline = this.getTimeline();
+
+    return this.getChannelTracks(channels).reduce((end, name) => {
+      const busy = (timeline.tracks[name] || []).filter(keyframe => !keyframe.rest);
+      return busy.length > 0 ? Math.max(end, busy[busy.length - 1].time) : end;
+    }, timeline.time);
+  },
+
+  // Remove the closing return-to-rest so the next animation blends from the last pose
+  dropRest(names) {
+    const timeline = this.getTimeline();
+
+    names.forEach(name => {
+      const track = timeline.tracks[name];
+      const current = this.sampleTrack(track, timeline.time);
+      let dropped = false;
+
+      while (track.length > 1 && track[track.length - 1].rest && track[track.length - 1].time > timeline.time) {
+        track.pop();
+        dropped = true;
+      }
+
+      // Already on the way to rest: continue from where the avatar is now
+      if (dropped && track[track.length - 1].time < timeline.time) {
+        this.addKeyframe(name, timeline.time, current, 'linear');
+      }
+    });
+
+    timeline.duration = Math.max(timeline.time, ...Object.values(timeline.tracks)
+      .map(track => track[track.length - 1].time));
+  },
+
+  // Lay out one sign or gesture on the channels of the hands it moves.
+  // animation.syncWith lists channels to wait for as well (a sentence waits for
+  // both hands, so a one-handed sign never overlaps the one before it).
+  appendGesture(animation) {
+    const timeline = this.getTimeline();
+    const side = animation.handedness === 'Left' ? 'left' : 'right';
+    const arms = this.getGestureArms(animation);
+    const channels = arms.map(arm => `${arm}Hand`);
+    const tracks = this.getChannelTracks(channels);
+
+    this.dropRest(tracks);
+
+    const targets = this.getSignPoses(animation);
+    const motion = animation.keyframes || this.letterMotions[animation.letter] || null;
+    const start = this.getChannelEnd(animation.syncWith || channels);
+    const transition = Math.min(this.transitionDuration, animation.duration * 0.4);
+    const arrive = start + transition;
+    const end = start + animation.duration;
+
+    arms.forEach(arm => {
+      const target = arm === side && motion ? this.offsetPose(targets[arm], motion[0]) : targets[arm];
+      const { fingers, ...hand } = target;
+
+      this.holdTrack(`${arm}.hand`, start);
+      this.addKeyframe(`${arm}.hand`, arrive, hand);
+
+      this.holdTrack(`${arm}.fingers`, start - this.anticipation);
+      this.addKeyframe(`${arm}.fingers`, arrive - transition * 0.4, fingers);
+    });
+
+    // Movement along the sign's path
+    if (motion) {
+      motion.slice(1).forEach(keyframe => {
+        const { fingers, ...hand } = this.offsetPose(targets[side], keyframe);
+        this.addKeyframe(`${side}.hand`, arrive + keyframe.time * (end - arrive), hand, 'linear');
+      });
+    }
+
+    tracks.forEach(name => this.holdTrack(name, end));
+    timeline.items.push({ ...animation, channels, start, arrive, end });
+
+    // Return to rest unless another animation is appended
+    const rest = this.getRestPoses();
+    arms.forEach(arm => {
+      const { fingers, ...hand } = rest[arm];
+      this.addKeyframe(`${arm}.hand`, end + this.restDuration, hand).rest = true;
+      this.addKeyframe(`${arm}.fingers`, end + this.restDuration, fingers).rest = true;
+    });
+  },
+
+  // Lay out a facial expression on the face channel (plays alongside the hands)
+  appendExpression(mood, duration) {
+    const timeline = this.getTimeline();
+    const tracks = this.channels.face;
+    this.dropRest(tracks);
+
+    const start = this.getChannelEnd(['face']);
+    const ramp = Math.min(this.transitionDuration, duration * 0.3);
+
+    tracks.forEach(name => this.holdTrack(name, start));
+    this.addKeyframe('face', start + ramp, this.getExpressionData(mood));
+    this.addKeyframe('brows', start + ramp, this.getBrowData(mood));
+
+    tracks.forEach(name => this.holdTrack(name, start + duration));
+    this.addKeyframe('face', start + duration + ramp, this.getExpressionData('neutral')).rest = true;
+    this.addKeyframe('brows', start + duration + ramp, this.getBrowData('neutral')).rest = true;
+
+    timeline.items.push({ type: 'expression', mood, channels: ['face'], start, end: start + duration });
+  },
+
+  // Lay out head or body movements: steps of { duration, x, y, angle }
+  appendMovement(channel, type, steps) {
+    const timeline = this.getTimeline();
+    const [track] = this.channels[channel];
+    this.dropRest([track]);
+
+    const start = this.getChannelEnd([channel]);
+    let time = start;
+    this.holdTrack(track, start);
+
+    steps.forEach(({ duration, ...value }) => {
+      time += duration;
+      this.addKeyframe(track, time, { x: 0, y: 0, angle: 0, ...value });
+    });
+
+    timeline.items.push({ type, channels: [channel], start, end: time });
+  },
+
+  // Facial grammar in parallel with the hands: each sign's sentence mood on the
+  // face, its brow marker on the brows and head shakes or nods over its span
+  appendNonManuals(items) {
+    if (items.length === 0) return;
+
+    const tracks = this.getChannelTracks(['face', 'head']);
+    this.dropRest(tracks);
+
+    // Runs of signs sharing a mood and markers
+    const spans = [];
+    items.forEach(({ mood = 'neutral', nonManual = [], start, end }) => {
+      const key = [mood, ...nonManual].join(' ');
+      const last = spans[spans.length - 1];
+
+      if (last && last.key === key && last.end === start) {
+        last.end = end;
+        return;
+      }
+      spans.push({ key, mood, markers: nonManual, start, end });
+    });
+
+    spans.forEach(({ mood, markers, start, end }) => {
+      const arrive = start + Math.min(this.transitionDuration, (end - start) * 0.3);
+      const head = this.getMarkerHead(markers);
+
+      tracks.forEach(name => this.holdTrack(name, start));
+      this.addKeyframe('face', arrive, this.getExpressionData(mood));
+      this.addKeyframe('brows', arrive, this.getBrowData(markers.find(marker => this.browPoses[marker]) || mood));
+      this.addKeyframe('head', arrive, head);
+      this.addHeadSwings(markers, head, arrive, end);
+      tracks.forEach(name => this.holdTrack(name, end));
+    });
+
+    // Relax the face once the hands have finished
+    const end = spans[spans.length - 1].end + this.restDuration;
+    this.addKeyframe('face', end, this.getExpressionData('neutral')).rest = true;
+    this.addKeyframe('brows', end, this.getBrowData('neutral')).rest = true;
+    this.addKeyframe('head', end, { x: 0, y: 0, angle: 0 }).rest = true;
+  },
+
+  // Head shake (turning) or nod (dipping) around a span's head pose
+  addHeadSwings(markers, head, start, end) {
+    const swing = ['headShake', 'headNod']
+      .filter(marker => markers.includes(marker))
+      .map(marker => this.headSwings[marker])[0];
+    if (!swing) return;
+
+    const count = Math.max(2, Math.round((end - start) / swing.duration));
+    const step = (end - start) / count;
+
+    for (let i = 1; i <= count; i++) {
+      const offset = i === count ? 0 : swing.values[(i - 1) % swing.values.length];
+      this.addKeyframe('head', start + i * step, { ...head, [swing.key]: head[swing.key] + offset });
     }
+  },
 
+  // Start (or keep) the clock running; resolves when the timeline finishes
+  play() {
+    const timeline = this.getTimeline();
     this.isAnimating = true;
-    const animation = this.animationQueue.shift();
+    this.isPaused = false;
 
-    switch (animation.type) {
-      case 'gesture':
-        await this.performGestureAnimation(animation);
-        break;
-      case 'expression':
-        await this.performExpressionAnimation(animation);
-        break;
+    if (this.frameId === null) {
+      this.lastFrameTime = null;
+      this.frameId = requestAnimationFrame(now => this.tick(now));
     }
 
-    // Continue with next animation
-    this.processQueue();
+    return timeline.finished;
   },
 
-  // Perform gesture animation
-  async performGestureAnimation(animation) {
-    const { gesture, handedness, duration } = animation;
-    
-    // Get arm element
-    const armId = handedness === 'Right' ? 'rightArm' : 'leftArm';
-    const arm = this.avatarElement.querySelector(`#${armId}`);
-    
-    if (!arm) {
-      console.warn(`Arm element #${armId} not found`);
+  // Advance the clock by the real time since the last frame, scaled by speed
+  tick(now) {
+    const timeline = this.timeline;
+    if (!timeline) {
+      this.frameId = null;
       return;
     }
 
-    // Get gesture animation data
-    const gestureAnim = this.getGestureAnimation(gesture, handedness);
-    
-    // Apply animation
-    return new Promise(resolve => {
-      arm.style.transition = `transform ${duration}ms ease-in-out`;
-      arm.style.transform = gestureAnim.transform;
-
-      setTimeout(() => {
-        // Reset to neutral
-        arm.style.transform = 'none';
-        resolve();
-      }, duration);
+    const limit = timeline.stopAt !== null ? timeline.stopAt : timeline.duration;
+    if (this.lastFrameTime !== null) {
+      timeline.time = Math.min(limit, timeline.time + (now - this.lastFrameTime) * this.animationSpeed);
+    }
+    this.lastFrameTime = now;
+
+    this.showFrame(timeline.time);
+    this.updateCurrentAnimation();
+
+    // End of a replayed range (playSigns)
+    if (timeline.stopAt !== null && timeline.time >= timeline.stopAt) {
+      timeline.stopAt = null;
+      this.frameId = null;
+      this.pause();
+      return;
+    }
+
+    if (timeline.time >= timeline.duration) {
+      this.endTimeline();
+      return;
+    }
+
+    this.notifyProgress();
+    this.frameId = requestAnimationFrame(next => this.tick(next));
+  },
+
+  // Reached the end: stop the clock but keep the timeline for seeking
+  endTimeline() {
+    const timeline = this.timeline;
+
+    timeline.ended = true;
+    this.frameId = null;
+    this.isAnimating = false;
+    this.isPaused = false;
+
+    timeline.resolve();
+    this.notifyProgress();
+  },
+
+  updateCurrentAnimation() {
+    const { items, time } = this.timeline;
+    this.currentAnimation = items.find(item => item.start <= time && time < item.end) || null;
+  },
+
+  notifyProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.getState());
+    }
+  },
+
+  // Stop the clock and close the timeline, keeping the current pose
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+    }
+
+    const timeline = this.timeline;
+    this.timeline = null;
+    this.frameId = null;
+    this.isAnimating = false;
+    this.isPaused = false;
+    this.currentAnimation = null;
+
+    if (timeline) timeline.resolve();
+  },
+
+  // === PLAYBACK CONTROL === //
+
+  // Freeze the clock mid-sign
+  pause() {
+    if (!this.timeline || this.timeline.ended || this.isPaused) return;
+
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.isPaused = true;
+    this.notifyProgress();
+  },
+
+  resume() {
+    if (!this.timeline || this.timeline.ended || !this.isPaused) return;
+    this.play();
+  },
+
+  // Jump to a timeline time (ms at normal speed); playback continues if it was running
+  seek(time) {
+    const timeline = this.timeline;
+    if (!timeline) return;
+
+    timeline.time = Math.max(0, Math.min(time, timeline.duration));
+
+    // Scrubbing back into a finished timeline holds there until resumed
+    if (timeline.ended && timeline.time < timeline.duration) {
+      timeline.ended = false;
+      timeline.finished = new Promise(resolve => { timeline.resolve = resolve; });
+      this.isAnimating = true;
+      this.isPaused = true;
+    }
+
+    this.showFrame(timeline.time);
+    this.updateCurrentAnimation();
+    this.notifyProgress();
+  },
+
+  // Signs on the current timeline, in order
+  getSigns() {
+    return this.timeline ? this.timeline.items.filter(item => item.type === 'gesture') : [];
+  },
+
+  // Pause on the next sign's pose
+  stepForward() {
+    if (!this.timeline) return;
+
+    const time = this.timeline.time;
+    const next = this.getSigns().find(sign => sign.arrive > time + 1);
+
+    this.pause();
+    this.seek(next ? next.arrive : this.timeline.duration);
+  },
+
+  // Pause on the previous sign's pose
+  stepBack() {
+    if (!this.timeline) return;
+
+    const time = this.timeline.time;
+    const previous = this.getSigns().reverse().find(sign => sign.arrive < time - 1);
+
+    this.pause();
+    this.seek(previous ? previous.arrive : 0);
+  },
+
+  // Replay signs from..to of the last sequence, then pause
+  playSigns(from, to = from) {
+    if (!this.lastSequence) return;
+
+    if (!this.timeline || this.timeline.sequence !== this.lastSequence) {
+      this.clearQueue();
+      this.loadSequence(this.lastSequence);
+      this.isPaused = true;
+    }
+
+    const signs = this.getSigns();
+    if (!signs[from] || !signs[to]) return;
+
+    this.seek(signs[from].start);
+    this.timeline.stopAt = signs[to].end;
+
+    if (this.frameId === null) {
+      this.play();
+    }
+  },
+
+  // Play the last sign sequence again from the start
+  repeat() {
+    if (!this.lastSequence) return Promise.resolve();
+
+    this.clearQueue();
+    return this.animateSignSequence(this.lastSequence);
+  },
+
+  // Show a timeline time: in the step presentation each sign holds its key pose
+  // as a still frame, with no movement in between
+  showFrame(time) {
+    const signs = this.getSigns();
+
+    if (this.presentation !== 'step' || signs.length === 0) {
+      this.applyFrame(time);
+      return;
+    }
+
+    const current = signs.filter(sign => sign.start <= time).pop();
+    const last = signs[signs.length - 1];
+
+    if (!current) {
+      this.applyFrame(0);
+    } else if (current === last && time >= last.end) {
+      this.applyFrame(this.timeline.duration);
+    } else {
+      this.applyFrame(current.arrive);
+    }
+  },
+
+  // Pose the avatar at a timeline time
+  applyFrame(time) {
+    const { tracks } = this.timeline;
+
+    ['right', 'left'].forEach(side => {
+      const hand = this.sampleTrack(tracks[`${side}.hand`], time);
+      const fingers = this.sampleTrack(tracks[`${side}.fingers`], time);
+      this.setPose(side, { ...hand, fingers });
     });
+
+    this.setExpression(this.sampleTrack(tracks.face, time));
+    this.setBrows(this.sampleTrack(tracks.brows, time));
+    this.setBodyPose(this.sampleTrack(tracks.body, time));
+    this.setHeadPose(this.sampleTrack(tracks.head, time));
   },
 
-  // Get gesture animation data
-  getGestureAnimation(gestureType, handedness) {
-    const isRight = handedness === 'Right';
-    const multiplier = isRight ? 1 : -1;
+  // Value of a track at a time, eased towards the next keyframe
+  sampleTrack(track, time) {
+    const next = track.findIndex(keyframe => keyframe.time > time);
+    if (next === -1) return track[track.length - 1].value;
+    if (next === 0) return track[0].value;
 
-    const animations = {
-      'FIST': {
-        transform: `translate(${30 * multiplier}px, -20px) rotate(${-15 * multiplier}deg)`
-      },
-      'OPEN_HAND': {
-        transform: `translate(${40 * multiplier}px, -30px) rotate(${-20 * multiplier}deg) scale(1.1)`
-      },
-      'POINTING': {
-        transform: `translate(${35 * multiplier}px, -25px) rotate(${-10 * multiplier}deg)`
-      },
-      'PEACE': {
-        transform: `translate(${38 * multiplier}px, -28px) rotate(${-12 * multiplier}deg)`
-      },
-      'THUMBS_UP': {
-        transform: `translate(${25 * multiplier}px, -40px) rotate(${15 * multiplier}deg)`
-      },
-      'OK': {
-        transform: `translate(${32 * multiplier}px, -22px) rotate(${-8 * multiplier}deg)`
-      },
-      'SWIPE_RIGHT': {
-        transform: 'translateX(80px)'
-      },
-      'SWIPE_LEFT': {
-        transform: 'translateX(-80px)'
-      }
+    const a = track[next - 1];
+    const b = track[next];
+    const easing = this.easings[b.easing] || this.easings.linear;
+
+    return this.interpolate(a.value, b.value, easing((time - a.time) / (b.time - a.time)));
+  },
+
+  // Interpolate numbers, arrays and objects of numbers
+  interpolate(a, b, t) {
+    if (typeof b === 'number') return a + (b - a) * t;
+    if (Array.isArray(b)) return b.map((value, i) => this.interpolate(a[i], value, t));
+
+    const result = {};
+    Object.keys(b).forEach(key => {
+      result[key] = this.interpolate(a[key], b[key], t);
+    });
+    return result;
+  },
+
+  offsetPose(pose, offset) {
+    if (!offset) return pose;
+    return { ...pose, x: pose.x + offset.x * this.handUnit, y: pose.y + offset.y * this.handUnit };
+  },
+
+  // === RIG POSING === //
+  //
+  // A hand pose is { x, y, angle, fingers } in its arm's frame: (x, y) is the palm
+  // centre relative to the shoulder (+x away from the body, +y down), angle is the
+  // hand's direction (0 = fingers down, 180 = fingers up, positive = towards the
+  // midline) and fingers holds [in-plane angle, base, middle, tip flexion] per finger.
+
+  // Hand size in viewBox units (one lexicon keyframe unit)
+  handUnit: 30,
+
+  // Body type of the avatar (see updateBodyType)
+  bodyType: 'default',
+
+  // Current hand pose per arm, face, brow, head and body values
+  pose: {},
+  face: null,
+  brows: null,
+  head: null,
+  body: null,
+
+  // The body leans about the feet, the head turns about the centre of the face
+  bodyPivot: [150, 400],
+  headPivot: [150, 120],
+
+  // Palm centre per lexicon location, as an offset from one of the avatar's
+  // anchors (AvatarManager.getAnchors): x towards the signing arm, y down
+  locations: {
+    neutral: { anchor: 'chest', x: 10, y: 5 },
+    forehead: { anchor: 'forehead', x: 0, y: 0 },
+    temple: { anchor: 'forehead', x: 55, y: 15 },
+    eyes: { anchor: 'forehead', x: 10, y: 30 },
+    nose: { anchor: 'chin', x: 0, y: -55 },
+    cheek: { anchor: 'chin', x: 40, y: -45 },
+    mouth: { anchor: 'chin', x: 0, y: -30 },
+    chin: { anchor: 'chin', x: 0, y: 0 },
+    neck: { anchor: 'chin', x: 0, y: 25 },
+    shoulder: { anchor: 'shoulder', x: -2, y: 8 },
+    chest: { anchor: 'chest', x: 0, y: 0 },
+    stomach: { anchor: 'chest', x: 0, y: 45 },
+    'non-dominant-hand': { anchor: 'chest', x: -15, y: 5 },
+    fingerspelling: { anchor: 'shoulder', x: -12, y: -12 },
+    passive: { anchor: 'chest', x: 10, y: -5 }
+  },
+
+  // Default hand direction: fingers up, tilted towards the midline
+  signingAngle: 165,
+
+  // Finger presets: [in-plane angle, base, middle, tip flexion]
+  fingerPresets: {
+    straight: [0, 0, 0, 0],
+    relaxed: [0, 15, 20, 10],
+    bent: [0, 45, 45, 25],
+    round: [0, 50, 60, 35],
+    hooked: [0, 10, 95, 60],
+    flat: [0, 85, 0, 0],
+    curled: [0, 85, 105, 70]
+  },
+
+  thumbPresets: {
+    out: [80, 0, 0, 0],
+    side: [5, 0, 0, 0],
+    bent: [40, 20, 40, 30],
+    across: [-45, 20, 30, 20],
+    tucked: [-25, 50, 60, 40],
+    relaxed: [30, 10, 10, 10]
+  },
+
+  // Spread multipliers (positive angles turn towards the thumb)
+  fanOut: { index: 1, middle: -0.4, ring: -1, pinky: -1.6 },
+
+  // Classifier handshapes; fingers are index, middle, ring, pinky
+  handshapes: {
+    FIST: { thumb: 'across', fingers: ['curled', 'curled', 'curled', 'curled'] },
+    OPEN_HAND: { thumb: 'out', fingers: ['straight', 'straight', 'straight', 'straight'], spread: 8 },
+    POINTING: { thumb: 'across', fingers: ['straight', 'curled', 'curled', 'curled'] },
+    PEACE: { thumb: 'across', fingers: ['straight', 'straight', 'curled', 'curled'], spread: 10 },
+    THUMBS_UP: { thumb: 'side', fingers: ['curled', 'curled', 'curled', 'curled'] },
+    OK: { thumb: 'bent', fingers: ['bent', 'straight', 'straight', 'straight'], spread: 6 },
+    SWIPE_LEFT: { thumb: 'out', fingers: ['straight', 'straight', 'straight', 'straight'], shift: -60 },
+    SWIPE_RIGHT: { thumb: 'out', fingers: ['straight', 'straight', 'straight', 'straight'], shift: 60 },
+    RELAXED: { thumb: 'relaxed', fingers: ['relaxed', 'relaxed', 'relaxed', 'relaxed'] }
+  },
+
+  // One-handed manual alphabet (ASL); angle overrides the hand direction
+  letterShapes: {
+    A: { thumb: 'side', fingers: ['curled', 'curled', 'curled', 'curled'] },
+    B: { thumb: 'tucked', fingers: ['straight', 'straight', 'straight', 'straight'] },
+    C: { thumb: 'bent', fingers: ['bent', 'bent', 'bent', 'bent'] },
+    D: { thumb: 'bent', fingers: ['straight', 'round', 'round', 'round'] },
+    E: { thumb: 'tucked', fingers: ['hooked', 'hooked', 'hooked', 'hooked'] },
+    F: { thumb: 'bent', fingers: ['round', 'straight', 'straight', 'straight'], spread: 6 },
+    G: { thumb: 'side', fingers: ['straight', 'curled', 'curled', 'curled'], angle: 95 },
+    H: { thumb: 'across', fingers: ['straight', 'straight', 'curled', 'curled'], angle: 95 },
+    I: { thumb: 'across', fingers: ['curled', 'curled', 'curled', 'straight'] },
+    J: { thumb: 'across', fingers: ['curled', 'curled', 'curled', 'straight'] },
+    K: { thumb: 'side', fingers: ['straight', 'straight', 'curled', 'curled'], spread: 10 },
+    L: { thumb: 'out', fingers: ['straight', 'curled', 'curled', 'curled'] },
+    M: { thumb: 'tucked', fingers: ['hooked', 'hooked', 'hooked', 'curled'] },
+    N: { thumb: 'tucked', fingers: ['hooked', 'hooked', 'curled', 'curled'] },
+    O: { thumb: 'bent', fingers: ['round', 'round', 'round', 'round'] },
+    P: { thumb: 'side', fingers: ['straight', 'straight', 'curled', 'curled'], spread: 10, angle: 40 },
+    Q: { thumb: 'side', fingers: ['straight', 'curled', 'curled', 'curled'], angle: 20 },
+    R: { thumb: 'across', fingers: ['straight', 'straight', 'curled', 'curled'], spread: -8 },
+    S: { thumb: 'across', fingers: ['curled', 'curled', 'curled', 'curled'] },
+    T: { thumb: 'tucked', fingers: ['hooked', 'curled', 'curled', 'curled'] },
+    U: { thumb: 'across', fingers: ['straight', 'straight', 'curled', 'curled'] },
+    V: { thumb: 'across', fingers: ['straight', 'straight', 'curled', 'curled'], spread: 12 },
+    W: { thumb: 'across', fingers: ['straight', 'straight', 'straight', 'curled'], spread: 10 },
+    X: { thumb: 'across', fingers: ['hooked', 'curled', 'curled', 'curled'] },
+    Y: { thumb: 'out', fingers: ['curled', 'curled', 'curled', 'straight'], spread: 12 },
+    Z: { thumb: 'across', fingers: ['straight', 'curled', 'curled', 'curled'] }
+  },
+
+  // Letters drawn in the air (hand-size units)
+  letterMotions: {
+    J: [{ time: 0, x: 0, y: 0 }, { time: 0.6, x: 0, y: 0.5 }, { time: 1, x: -0.4, y: 0.4 }],
+    Z: [
+      { time: 0, x: 0, y: 0 }, { time: 0.33, x: 0.6, y: 0 },
+      { time: 0.66, x: 0, y: 0.5 }, { time: 1, x: 0.6, y: 0.5 }
+    ]
+  },
+
+  // Two-handed alphabet (BSL): the dominant index touches a passive fingertip,
+  // palm or wrist; passive is the passive handshape when it is not an open hand
+  twoHandedLetters: {
+    A: { shape: 'POINTING', contact: 'thumb' },
+    B: { shape: 'FIST', passive: 'FIST', contact: 'palm' },
+    C: { shape: 'C', contact: null },
+    D: { shape: 'C', passive: 'POINTING', contact: 'index' },
+    E: { shape: 'POINTING', contact: 'index' },
+    F: { shape: 'U', passive: 'U', contact: 'index' },
+    G: { shape: 'FIST', passive: 'FIST', contact: 'index' },
+    H: { shape: 'B', contact: 'palm' },
+    I: { shape: 'POINTING', contact: 'middle' },
+    J: { shape: 'POINTING', contact: 'middle' },
+    K: { shape: 'X', passive: 'POINTING', contact: 'index' },
+    L: { shape: 'POINTING', contact: 'palm' },
+    M: { shape: 'W', contact: 'palm' },
+    N: { shape: 'U', contact: 'palm' },
+    O: { shape: 'POINTING', contact: 'ring' },
+    P: { shape: 'F', passive: 'POINTING', contact: 'index' },
+    Q: { shape: 'O', passive: 'POINTING', contact: 'index' },
+    R: { shape: 'X', contact: 'palm' },
+    S: { shape: 'I', passive: 'I', contact: 'pinky' },
+    T: { shape: 'POINTING', contact: 'wrist' },
+    U: { shape: 'POINTING', contact: 'pinky' },
+    V: { shape: 'V', contact: 'palm' },
+    W: { shape: 'OPEN_HAND', contact: 'index' },
+    X: { shape: 'POINTING', passive: 'POINTING', contact: 'index' },
+    Y: { shape: 'L', contact: 'index' },
+    Z: { shape: 'N', contact: 'palm' }
+  },
+
+  // Hand shape definition for a classifier label or letter
+  getHandshape(name) {
+    return this.handshapes[name] || this.letterShapes[name] || this.handshapes.OPEN_HAND;
+  },
+
+  // Finger joint values for a hand shape
+  getFingers(shape) {
+    const fingers = { thumb: [...this.thumbPresets[shape.thumb]] };
+
+    ['index', 'middle', 'ring', 'pinky'].forEach((name, i) => {
+      const values = [...this.fingerPresets[shape.fingers[i]]];
+      values[0] = (shape.spread || 0) * this.fanOut[name];
+      fingers[name] = values;
+    });
+
+    return fingers;
+  },
+
+  // Hand pose for a gesture or handshape at a lexicon location
+  getGesturePose(gesture, side, location = 'neutral') {
+    const shape = this.getHandshape(gesture);
+    const point = this.getLocation(location, side);
+
+    // Swipes move across the screen whichever arm makes them
+    if (shape.shift) {
+      point.x += shape.shift * (side === 'right' ? 1 : -1);
+    }
+
+    const pose = {
+      x: 0,
+      y: 0,
+      angle: shape.angle !== undefined ? shape.angle : this.signingAngle,
+      fingers: this.getFingers(shape)
     };
 
-    return animations[gestureType] || animations['OPEN_HAND'];
+    // The fingertips of a flat hand go on the location, whatever the handshape
+    const lead = this.getLeadingPoint({ ...pose, fingers: this.getFingers(this.handshapes.OPEN_HAND) });
+    return { ...pose, x: point.x - lead.x, y: point.y - lead.y };
   },
 
-  // Perform expression animation
-  async performExpressionAnimation(animation) {
-    const { mood, duration } = animation;
-    
-    // Get face elements
+  // Furthest fingertip along the hand's direction, relative to the palm centre
+  getLeadingPoint(pose) {
+    const direction = this.rotate({ x: 0, y: 1 }, pose.angle);
+
+    return Object.keys(pose.fingers)
+      .map(finger => this.getFingertip({ ...pose, x: 0, y: 0 }, finger))
+      .reduce((best, tip) =>
+        tip.x * direction.x + tip.y * direction.y > best.x * direction.x + best.y * direction.y ? tip : best);
+  },
+
+  // Arms a gesture moves: both for two-handed signs and contact letters
+  getGestureArms({ handedness, letter, twoHanded }) {
+    if (handedness === 'Both') return ['right', 'left'];
+
+    const twoHandedLetter = letter && twoHanded && this.twoHandedLetters[letter];
+    if (twoHandedLetter && twoHandedLetter.contact) return ['right', 'left'];
+
+    return [handedness === 'Left' ? 'left' : 'right'];
+  },
+
+  // Target poses for both arms; the arm not signing rests
+  getSignPoses({ gesture, handedness, location, letter, twoHanded }) {
+    const side = handedness === 'Left' ? 'left' : 'right';
+    const passive = side === 'right' ? 'left' : 'right';
+    const poses = this.getRestPoses();
+
+    if (handedness === 'Both') {
+      poses.right = this.getGesturePose(gesture, 'right', location);
+      poses.left = this.getGesturePose(gesture, 'left', location);
+      return poses;
+    }
+
+    if (!letter) {
+      poses[side] = this.getGesturePose(gesture, side, location);
+      return poses;
+    }
+
+    const twoHandedLetter = twoHanded && this.twoHandedLetters[letter];
+
+    if (!twoHandedLetter || !twoHandedLetter.contact) {
+      const shape = twoHandedLetter ? twoHandedLetter.shape : letter;
+      poses[side] = this.getGesturePose(shape, side, 'fingerspelling');
+      return poses;
+    }
+
+    // Passive hand in front of the chest, dominant index on the contact point
+    poses[passive] = this.getGesturePose(twoHandedLetter.passive || 'OPEN_HAND', passive, 'passive');
+
+    const contact = this.getContactPoint(poses[passive], twoHandedLetter.contact);
+    const target = this.fromScreen(side, this.toScreen(passive, contact));
+
+    const dominant = this.getGesturePose(twoHandedLetter.shape, side);
+    dominant.angle = 115;
+    const tip = this.getFingertip({ ...dominant, x: 0, y: 0 }, 'index');
+
+    poses[side] = { ...dominant, x: target.x - tip.x, y: target.y - tip.y };
+    return poses;
+  },
+
+  // Lexicon location → palm centre in the arm's frame
+  getLocation(location, side = 'right') {
+    const { anchor, x, y } = this.locations[location] || this.locations.neutral;
+    const anchors = this.getAnchors();
+    const point = anchor === 'shoulder' ? anchors.shoulders[side] : anchors[anchor];
+    const mirror = side === 'right' ? 1 : -1;
+
+    return this.fromScreen(side, { x: point.x + mirror * x, y: point.y + y });
+  },
+
+  // Anchors of the avatar being animated (they depend on its body type)
+  getAnchors() {
+    return AvatarManager.getAnchors(this.bodyType);
+  },
+
+  // Body type of the rendered avatar, from its SVG
+  updateBodyType() {
+    const svg = this.avatarElement && this.avatarElement.querySelector('svg');
+    this.bodyType = (svg && svg.getAttribute('data-body-type')) || 'default';
+  },
+
+  // Arm frame ↔ viewBox coordinates (the left arm is mirrored)
+  toScreen(side, point) {
+    const shoulder = this.getAnchors().shoulders[side];
+    const mirror = side === 'right' ? 1 : -1;
+    return { x: shoulder.x + mirror * point.x, y: shoulder.y + point.y };
+  },
+
+  fromScreen(side, point) {
+    const shoulder = this.getAnchors().shoulders[side];
+    const mirror = side === 'right' ? 1 : -1;
+    return { x: (point.x - shoulder.x) * mirror, y: point.y - shoulder.y };
+  },
+
+  // Rotate a point by an SVG angle (degrees)
+  rotate(point, angle) {
+    const a = angle * Math.PI / 180;
+    return {
+      x: point.x * Math.cos(a) - point.y * Math.sin(a),
+      y: point.x * Math.sin(a) + point.y * Math.cos(a)
+    };
+  },
+
+  // SVG angle that points a segment's +y axis along a vector
+  angleOf(vector) {
+    return Math.atan2(-vector.x, vector.y) * 180 / Math.PI;
+  },
+
+  // Palm centre, wrist or a fingertip of a posed hand
+  getContactPoint(pose, contact) {
+    if (contact === 'palm') return { x: pose.x, y: pose.y };
+
+    if (contact === 'wrist') {
+      const palm = this.rotate({ x: 0, y: AvatarManager.rig.palmLength / 2 }, pose.angle);
+      return { x: pose.x - palm.x, y: pose.y - palm.y };
+    }
+
+    return this.getFingertip(pose, contact);
+  },
+
+  // Fingertip of a hand pose in the arm's frame
+  getFingertip(pose, finger) {
+    const { palmLength, fingers } = AvatarManager.rig;
+    const [baseX, baseY] = fingers[finger].base;
+    const length = AvatarManager.getFingerLengths(finger, pose.fingers[finger]).reduce((a, b) => a + b, 0);
+    const tip = this.rotate({ x: 0, y: length }, pose.fingers[finger][0]);
+    const offset = this.rotate({ x: baseX + tip.x, y: baseY + tip.y - palmLength / 2 }, pose.angle);
+
+    return { x: pose.x + offset.x, y: pose.y + offset.y };
+  },
+
+  // Two-bone inverse kinematics: joint angles that put the palm centre at (x, y)
+  solveArm(pose) {
+    const { upperArm, forearm, palmLength } = AvatarManager.rig;
+    const palm = this.rotate({ x: 0, y: palmLength / 2 }, pose.angle);
+    const wrist = { x: pose.x - palm.x, y: pose.y - palm.y };
+
+    const reach = Math.min(upperArm + forearm - 0.01, Math.max(Math.abs(upperArm - forearm) + 0.01, Math.hypot(wrist.x, wrist.y)));
+    const cosine = (upperArm * upperArm + reach * reach - forearm * forearm) / (2 * upperArm * reach);
+    const spread = Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+    const direction = this.angleOf(wrist);
+
+    // Of the two elbow positions, keep the one further out and down
+    const solutions = [direction - spread, direction + spread].map(shoulder => {
+      const elbow = this.rotate({ x: 0, y: upperArm }, shoulder);
+      return { shoulder, elbow, score: elbow.x + elbow.y };
+    });
+    const { shoulder, elbow } = solutions[0].score >= solutions[1].score ? solutions[0] : solutions[1];
+
+    const forearmAngle = this.angleOf({ x: wrist.x - elbow.x, y: wrist.y - elbow.y });
+
+    return {
+      shoulder,
+      elbow: this.normalizeAngle(forearmAngle - shoulder),
+      wrist: this.normalizeAngle(pose.angle - forearmAngle)
+    };
+  },
+
+  // Hand pose reached by a set of joint angles (forward kinematics)
+  getArmPose({ shoulder, elbow, wrist, fingers }) {
+    const { upperArm, forearm, palmLength } = AvatarManager.rig;
+    const elbowPoint = this.rotate({ x: 0, y: upperArm }, shoulder);
+    const forearmPoint = this.rotate({ x: 0, y: forearm }, shoulder + elbow);
+    const angle = shoulder + elbow + wrist;
+    const palm = this.rotate({ x: 0, y: palmLength / 2 }, angle);
+
+    return {
+      x: elbowPoint.x + forearmPoint.x + palm.x,
+      y: elbowPoint.y + forearmPoint.y + palm.y,
+      angle,
+      fingers: JSON.parse(JSON.stringify(fingers))
+    };
+  },
+
+  normalizeAngle(angle) {
+    return ((angle + 540) % 360) - 180;
+  },
+
+  getRestPoses() {
+    const { rest } = AvatarManager.rig;
+    return { left: this.getArmPose(rest), right: this.getArmPose(rest) };
+  },
+
+  // Pose one arm: solve the joints and update the SVG rig
+  setPose(side, pose) {
+    this.pose[side] = pose;
+
+    const { upperArm, forearm } = AvatarManager.rig;
+    const joints = this.solveArm(pose);
+
+    this.setJoint(this.getRigElement(side, 'Shoulder'), 0, 0, joints.shoulder);
+    this.setJoint(this.getRigElement(side, 'Elbow'), 0, upperArm, joints.elbow);
+    this.setJoint(this.getRigElement(side, 'Wrist'), 0, forearm, joints.wrist);
+
+    Object.entries(pose.fingers).forEach(([name, values]) => {
+      this.setFinger(side, name, values);
+    });
+  },
+
+  // Bend one finger: in-plane angle at the base, drawn lengths for flexion
+  setFinger(side, name, values) {
+    const { base } = AvatarManager.rig.fingers[name];
+    const lengths = AvatarManager.getFingerLengths(name, values);
+
+    lengths.forEach((length, i) => {
+      const segment = this.getRigElement(side, AvatarManager.getFingerId(side, name, i + 1), true);
+      if (!segment) return;
+
+      if (i === 0) {
+        this.setJoint(segment, base[0], base[1], values[0]);
+      } else {
+        this.setJoint(segment, 0, lengths[i - 1], 0);
+      }
+
+      segment.querySelectorAll(':scope > line').forEach(line => {
+        line.setAttribute('y2', length.toFixed(2));
+      });
+    });
+  },
+
+  setJoint(element, x, y, angle) {
+    if (element) {
+      element.setAttribute('transform', AvatarManager.getJointTransform(x, y, angle));
+    }
+  },
+
+  // Rig element by joint name (#rightElbow) or full id
+  getRigElement(side, name, isId = false) {
+    if (!this.avatarElement) return null;
+    return this.avatarElement.querySelector(`#${isId ? name : side + name}`);
+  },
+
+  // Mouth curve and eye height for the face track
+  setExpression(face) {
+    this.face = face;
+
     const mouth = this.avatarElement.querySelector('#mouth path');
     const eyes = this.avatarElement.querySelectorAll('#eyes ellipse');
-    
-    if (!mouth || !eyes) {
-      console.warn('Face elements not found');
-      return;
+    const [x1, y1, cx, cy, x2, y2] = face.mouth.map(v => +v.toFixed(1));
+
+    if (mouth) {
+      mouth.setAttribute('d', `M ${x1} ${y1} Q ${cx} ${cy} ${x2} ${y2}`);
     }
 
-    // Get expression data
-    const expression = this.getExpressionData(mood);
-    
-    return new Promise(resolve => {
-      // Animate mouth
-      mouth.style.transition = `d ${duration}ms ease-in-out`;
-      mouth.setAttribute('d', expression.mouth);
-
-      // Animate eyes
-      eyes.forEach(eye => {
-        eye.style.transition = `ry ${duration}ms ease-in-out`;
-        eye.setAttribute('ry', expression.eyeHeight);
-      });
+    // Each part of the eye keeps its share of the open eye height (12)
+    eyes.forEach(eye => {
+      const ry = parseFloat(eye.getAttribute('data-ry')) || 12;
+      eye.setAttribute('ry', (face.eyeHeight * ry / 12).toFixed(1));
+    });
+  },
+
+  // Both brows from the brows track ({ lift, tilt })
+  setBrows(brows) {
+    this.brows = brows;
+
+    const group = this.avatarElement.querySelector('#eyebrows');
+    const style = (group && group.getAttribute('data-style')) || 'natural';
 
-      setTimeout(() => {
-        // Reset to neutral
-        mouth.setAttribute('d', 'M 130 155 Q 150 160 170 155');
-        eyes.forEach(eye => {
-          eye.setAttribute('ry', '12');
-        });
-        resolve();
-      }, duration);
+    ['left', 'right'].forEach(side => {
+      const d = AvatarManager.getEyebrowPath(side, brows, style);
+      this.avatarElement.querySelectorAll(`#${side}Brow path`).forEach(path => path.setAttribute('d', d));
     });
   },
 
-  // Get expression data
+  // Torso, outfit and arms move together, leaning about the feet
+  setBodyPose(body) {
+    this.body = body;
+
+    const [px, py] = this.bodyPivot;
+    const transform = `translate(${body.x.toFixed(1)} ${body.y.toFixed(1)}) rotate(${body.angle.toFixed(1)} ${px} ${py})`;
+    ['body', 'outfit', 'arms'].forEach(id => {
+      const element = this.avatarElement.querySelector(`#${id}`);
+      if (element) element.setAttribute('transform', transform);
+    });
+  },
+
+  // Head groups move together, turning about the centre of the face. The body's
+  // lean is folded into the same translate and rotate so the head stays on the neck.
+  setHeadPose(head) {
+    this.head = head;
+
+    const body = this.body || { x: 0, y: 0, angle: 0 };
+    const [px, py] = this.bodyPivot;
+    const [cx, cy] = this.headPivot;
+    const centre = this.rotate({ x: cx + head.x - px, y: cy + head.y - py }, body.angle);
+    const x = body.x + px + centre.x - cx;
+    const y = body.y + py + centre.y - cy;
+
+    const transform = `translate(${x.toFixed(1)} ${y.toFixed(1)}) rotate(${(head.angle + body.angle).toFixed(1)} ${cx} ${cy})`;
+    ['head', 'hair', 'headCovering', 'hearingDevices', 'eyes', 'eyebrows', 'nose', 'facialHair', 'mouth', 'accessory'].forEach(id => {
+      const element = this.avatarElement.querySelector(`#${id}`);
+      if (element) element.setAttribute('transform', transform);
+    });
+  },
+
+  // Brows for a mood or brow marker: lift raises them, tilt lowers the inner ends
+  browPoses: {
+    neutral: { lift: 0, tilt: 0 },
+    happy: { lift: 2, tilt: 0 },
+    sad: { lift: 1, tilt: -5 },
+    surprised: { lift: 9, tilt: 0 },
+    angry: { lift: -3, tilt: 6 },
+    browRaise: { lift: 8, tilt: 0 },
+    browFurrow: { lift: -3, tilt: 7 }
+  },
+
+  // Questions lean the head: forward for yes/no, tilted for WH-questions
+  markerHeads: {
+    browRaise: { x: 0, y: 4, angle: 0 },
+    browFurrow: { x: 0, y: 2, angle: -5 }
+  },
+
+  // Repeated head movements: offsets of one head value, cycled over the sign
+  headSwings: {
+    headShake: { key: 'angle', values: [6, -6], duration: 350 },
+    headNod: { key: 'y', values: [6, 0], duration: 300 }
+  },
+
+  getBrowData(mood) {
+    return this.browPoses[mood] || this.browPoses.neutral;
+  },
+
+  // Head pose for a sign's markers
+  getMarkerHead(markers) {
+    const marker = markers.find(name => this.markerHeads[name]);
+    return { ...(marker ? this.markerHeads[marker] : { x: 0, y: 0, angle: 0 }) };
+  },
+
+  // Get expression data: mouth as [x1, y1, control x, control y, x2, y2]
   getExpressionData(mood) {
     const expressions = {
       happy: {
-        mouth: 'M 130 155 Q 150 170 170 155',
-        eyeHeight: '10'
+        mouth: [130, 155, 150, 170, 170, 155],
+        eyeHeight: 10
       },
       sad: {
-        mouth: 'M 130 160 Q 150 150 170 160',
-        eyeHeight: '10'
+        mouth: [130, 160, 150, 150, 170, 160],
+        eyeHeight: 10
       },
       surprised: {
-        mouth: 'M 140 155 Q 150 165 160 155',
-        eyeHeight: '16'
+        mouth: [140, 155, 150, 165, 160, 155],
+        eyeHeight: 16
       },
       angry: {
-        mouth: 'M 135 158 L 165 158',
-        eyeHeight: '8'
+        mouth: [135, 158, 150, 158, 165, 158],
+        eyeHeight: 8
       },
       neutral: {
-        mouth: 'M 130 155 Q 150 160 170 155',
-        eyeHeight: '12'
+        mouth: [130, 155, 150, 160, 170, 155],
+        eyeHeight: 12
       }
     };
 
     return expressions[mood] || expressions.neutral;
   },
 
-  // Animate sign sequence
+  // Animate sign sequence; signs blend into each other on the timeline
   async animateSignSequence(signs, onComplete) {
-    for (const sign of signs) {
-      await this.animateGesture(sign.gesture, 'Right', 1000);
-      await this.delay(500); // Pause between signs
-    }
+    if (!this.avatarElement) return;
 
+    this.loadSequence(signs);
+    await this.play();
     if (onComplete) onComplete();
   },
 
-  // Delay helper
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Lay out a sign sequence on the timeline without starting the clock
+  loadSequence(signs) {
+    this.lastSequence = signs;
+    const first = this.getTimeline().items.length;
+
+    signs.forEach(sign => {
+      const { gloss, word, location, letter, letterIndex, alphabet, twoHanded, nonManual, mood } = sign;
+
+      this.appendGesture({
+        type: 'gesture',
+        gloss,
+        word,
+        gesture: sign.gesture,
+        handedness: sign.handedness || 'Right',
+        keyframes: sign.keyframes,
+        location,
+        letter,
+        letterIndex,
+        alphabet,
+        twoHanded,
+        nonManual,
+        mood,
+        syncWith: ['rightHand', 'leftHand'],
+        duration: Math.max(letter ? this.letterDuration : this.signDuration,
+          this.presentation === 'step' ? this.stepDuration : 0)
+      });
+    });
+
+    this.appendNonManuals(this.timeline.items.slice(first));
+    this.timeline.sequence = signs;
   },
 
   // Wave animation
-  async wave(handedness = 'Right') {
+  wave(handedness = 'Right') {
     const waveSequence = [
       { gesture: 'OPEN_HAND', duration: 300 },
       { gesture: 'SWIPE_RIGHT', duration: 200 },
@@ -234,66 +1265,59 @@ const AvatarAnimator = {
       { gesture: 'OPEN_HAND', duration: 300 }
     ];
 
-    for (const anim of waveSequence) {
-      await this.animateGesture(anim.gesture, handedness, anim.duration);
-    }
+    let finished;
+    waveSequence.forEach(anim => {
+      finished = this.animateGesture(anim.gesture, handedness, anim.duration);
+    });
+    return finished;
   },
 
-  // Clap animation
-  async clap(times = 3) {
+  // Clap animation: both hands together in front of the chest, then apart
+  clap(times = 3) {
+    let finished;
+
     for (let i = 0; i < times; i++) {
-      // Animate both hands together
-      this.animateGesture('OPEN_HAND', 'Right', 200);
-      this.animateGesture('OPEN_HAND', 'Left', 200);
-      await this.delay(250);
+      this.animateGesture('OPEN_HAND', 'Both', 250, null, { location: 'shoulder' });
+      finished = this.animateGesture('OPEN_HAND', 'Both', 200, null, { location: 'chest' });
     }
+    return finished;
   },
 
   // Nod animation
-  async nod(times = 2) {
-    const head = this.avatarElement.querySelector('#head');
-    if (!head) return;
-
+  nod(times = 2) {
+    const steps = [];
     for (let i = 0; i < times; i++) {
-      head.style.transition = 'transform 300ms ease-in-out';
-      head.style.transform = 'translateY(10px)';
-      await this.delay(300);
-      
-      head.style.transform = 'translateY(0)';
-      await this.delay(300);
+      steps.push({ duration: 300, y: 10 }, { duration: 300, y: 0 });
     }
+
+    return this.animateMovement('head', 'nod', steps);
   },
 
   // Shake head animation
-  async shakeHead(times = 2) {
-    const head = this.avatarElement.querySelector('#head');
-    if (!head) return;
-
+  shakeHead(times = 2) {
+    const steps = [];
     for (let i = 0; i < times; i++) {
-      head.style.transition = 'transform 200ms ease-in-out';
-      head.style.transform = 'rotate(-10deg)';
-      await this.delay(200);
-      
-      head.style.transform = 'rotate(10deg)';
-      await this.delay(200);
-      
-      head.style.transform = 'rotate(0deg)';
-      await this.delay(200);
+      steps.push({ duration: 200, angle: -10 }, { duration: 200, angle: 10 }, { duration: 200, angle: 0 });
     }
+
+    return this.animateMovement('head', 'shakeHead', steps);
   },
 
-  // Idle animation (subtle breathing)
+  // Idle animation (subtle breathing); never runs with reduced motion
   startIdleAnimation() {
+    if (this.reduceMotion || !this.avatarElement) return;
+
     const body = this.avatarElement.querySelector('#body');
     if (!body) return;
 
+    this.stopIdleAnimation();
     this.idleInterval = setInterval(() => {
       if (!this.isAnimating) {
         body.style.transition = 'transform 2s ease-in-out';
         body.style.transform = 'scaleY(1.02)';
         
         setTimeout(() => {
-          body.style.transform = 'scaleY(1)';
+          body.style.transform = '';
         }, 2000);
       }
     }, 4000);
@@ -306,22 +1330,35 @@ const AvatarAnimator = {
     }
   },
 
-  // Update animation speed
+  // Update animation speed (applies immediately to the running clock)
   setAnimationSpeed(speed) {
     this.animationSpeed = Math.max(0.1, Math.min(speed, 3.0));
   },
 
-  // Clear animation queue
+  // Clear animation queue: stop where the avatar is; the next animation starts from there
   clearQueue() {
-    this.animationQueue = [];
+    this.stop();
   },
 
-  // Get animation state
+  // Get animation state; signIndex is the sign playing (or last played), -1 before the first
   getState() {
+    const timeline = this.timeline;
+    const time = timeline ? timeline.time : 0;
+    const duration = timeline ? timeline.duration : 0;
+    const signs = this.getSigns();
+    const signIndex = signs.reduce((index, sign, i) => (sign.start < time ? i : index), -1);
+
     return {
       isAnimating: this.isAnimating,
-      queueLength: this.animationQueue.length,
+      isPaused: this.isPaused,
+      queueLength: timeline ? timeline.items.filter(item => item.start > time).length : 0,
       currentAnimation: this.currentAnimation,
+      signIndex,
+      signCount: signs.length,
+      sign: signIndex >= 0 ? signs[signIndex] : null,
+      time,
+      duration,
+      progress: duration > 0 ? time / duration : 0,
       speed: this.animationSpeed
     };
   },
@@ -332,5 +1369,10 @@ const AvatarAnimator = {
     this.stopIdleAnimation();
     this.avatarElement = null;
     this.isAnimating = false;
+    this.pose = {};
+    this.face = null;
+    this.brows = null;
+    this.head = null;
+    this.body = null;
   }
-};
\ No newline at end of file
+};
@@ -2,11 +2,35 @@
 
 const AvatarManager = {
   currentConfig: null,
+  userId: null,
+  presets: [],
+
+  // Rendered avatars by cache key (see getRender). Bump renderVersion when the
+  // generated SVG changes so renders cached in IndexedDB are redrawn.
+  renderCache: new Map(),
+  renderVersion: 1,
+
+  // Undo/redo stacks of earlier and undone configurations
+  history: { past: [], future: [] },
+  historyLimit: 50,
+
+  // Saved configurations older than this are migrated on load
+  schemaVersion: 2,
+
   defaultConfig: {
+    schemaVersion: 2,
     bodyType: 'default',
     skinColor: '#F4C2A0',
     hairStyle: 'short',
     hairColor: '#2C1B18',
+    eyebrowStyle: 'natural',
+    eyeColor: '#3B2314',
+    facialHair: 'none',
+    headCovering: 'none',
+    headCoveringColor: '#1F2937',
+    hearingDevice: 'none',
+    prosthetic: 'none',
+    deviceColor: '#9CA3AF',
     outfitType: 'casual',
     outfitColor: '#4F46E5',
     accessory: 'none',
@@ -15,24 +39,125 @@ const AvatarManager = {
 
   bodyTypes: ['slim', 'default', 'athletic', 'plus'],
   hairStyles: ['short', 'medium', 'long', 'curly', 'bald', 'ponytail'],
+  eyebrowStyles: ['natural', 'thick', 'thin', 'arched', 'straight'],
+  facialHairStyles: ['none', 'stubble', 'moustache', 'goatee', 'beard'],
+  headCoverings: ['none', 'hijab', 'turban', 'kippah', 'beanie'],
+  hearingDevices: ['none', 'hearing-aids', 'cochlear-implant', 'cochlear-implants'],
+  // Sides as in the arm ids (viewer's left/right)
+  prosthetics: ['none', 'left-arm', 'right-arm'],
   outfitTypes: ['casual', 'formal', 'sporty', 'traditional'],
   accessories: ['none', 'glasses', 'hat', 'earrings', 'necklace'],
 
+  // Brow shape per style: height of the arch and stroke width
+  eyebrowShapes: {
+    natural: { arch: 6, width: 3.5 },
+    thick: { arch: 6, width: 6 },
+    thin: { arch: 5, width: 2 },
+    arched: { arch: 11, width: 3.5 },
+    straight: { arch: 2, width: 4 }
+  },
+
+  // Share code layout: 'SS' and the code version, then one base-36 digit per
+  // list option and six hex digits per colour, in this order. Fields added in a
+  // later version are only read from codes of that version or newer.
+  shareCodeVersion: 2,
+  shareCodeFields: [
+    { key: 'bodyType', options: 'bodyTypes' },
+    { key: 'skinColor' },
+    { key: 'hairStyle', options: 'hairStyles' },
+    { key: 'hairColor' },
+    { key: 'outfitType', options: 'outfitTypes' },
+    { key: 'outfitColor' },
+    { key: 'accessory', options: 'accessories' },
+    { key: 'accessoryColor' },
+    { key: 'eyebrowStyle', options: 'eyebrowStyles', since: 2 },
+    { key: 'eyeColor', since: 2 },
+    { key: 'facialHair', options: 'facialHairStyles', since: 2 },
+    { key: 'headCovering', options: 'headCoverings', since: 2 },
+    { key: 'headCoveringColor', since: 2 },
+    { key: 'hearingDevice', options: 'hearingDevices', since: 2 },
+    { key: 'prosthetic', options: 'prosthetics', since: 2 },
+    { key: 'deviceColor', since: 2 }
+  ],
+
+  // Colours for high-contrast mode: light hands against a dark, saturated outfit
+  highContrastPalette: {
+    skinColor: '#FFE0B2',
+    hairColor: '#000000',
+    outfitColor: '#002B99',
+    accessoryColor: '#FFD600',
+    headCoveringColor: '#002B99',
+    deviceColor: '#FFD600'
+  },
+
+  // Torso per body type (viewBox units): half its width at the shoulders and the
+  // height of the shoulder joints. The outfit and the arms follow it.
+  bodyShapes: {
+    slim: { halfWidth: 42, shoulderY: 212 },
+    default: { halfWidth: 50, shoulderY: 212 },
+    athletic: { halfWidth: 55, shoulderY: 210 },
+    plus: { halfWidth: 60, shoulderY: 214 }
+  },
+
+  // Arm rig. Lengths are in viewBox units and angles in degrees; every segment is
+  // drawn pointing down its joint's +y axis, and positive angles turn towards the
+  // body's midline. The left arm is a mirror image of the right one (viewer's right).
+  rig: {
+    upperArm: 70,
+    forearm: 64,
+    palmLength: 26,
+    palmWidth: 24,
+
+    // Finger base on the palm and segment lengths (base, middle, tip)
+    fingers: {
+      index: { base: [-8, 26], segments: [13, 8, 7] },
+      middle: { base: [-2.7, 27], segments: [14, 9, 7] },
+      ring: { base: [2.7, 26], segments: [13, 8, 7] },
+      pinky: { base: [8, 24], segments: [10, 7, 6] },
+      thumb: { base: [-11, 7], segments: [11, 9, 8] }
+    },
+
+    // Resting joint angles; fingers are [in-plane angle, base, middle, tip flexion]
+    rest: {
+      shoulder: -12,
+      elbow: 25,
+      wrist: 10,
+      fingers: {
+        index: [2, 15, 20, 10],
+        middle: [0, 15, 20, 10],
+        ring: [-2, 15, 20, 10],
+        pinky: [-4, 15, 20, 10],
+        thumb: [30, 10, 10, 10]
+      }
+    }
+  },
+
   // Initialize avatar
   async init(userId) {
     try {
+      this.userId = userId;
+      this.history = { past: [], future: [] };
+      this.renderCache.clear();
+
       const saved = await StorageManager.getAvatar(userId);
       
       if (saved && saved.config) {
-        this.currentConfig = saved.config;
+        this.currentConfig = this.migrateConfig(saved.config);
+        this.presets = (saved.presets || []).map(preset => ({ ...preset, config: this.migrateConfig(preset.config) }));
+
+        if (this.currentConfig !== saved.config) {
+          await this.save(userId);
+        }
       } else {
         this.currentConfig = { ...this.defaultConfig };
+        this.presets = [];
       }
 
       return this.currentConfig;
     } catch (error) {
       console.error('Failed to initialize avatar:', error);
       this.currentConfig = { ...this.defaultConfig };
+      this.presets = [];
       return this.currentConfig;
     }
   },
@@ -44,15 +169,7 @@ const AvatarManager = {
 
   // Update avatar configuration
   async updateConfig(updates, userId) {
-    this.currentConfig = { ...this.currentConfig, ...updates };
-    
-    try {
-      await StorageManager.saveAvatar(userId, this.currentConfig);
-      return this.currentConfig;
-    } catch (error) {
-      console.error('Failed to save avatar:', error);
-      throw error;
-    }
+    return this.setConfig({ ...this.currentConfig, ...updates }, userId);
   },
 
   // Update specific property
@@ -62,17 +179,132 @@ const AvatarManager = {
 
   // Reset to default
   async resetToDefault(userId) {
-    this.currentConfig = { ...this.defaultConfig };
-    await StorageManager.saveAvatar(userId, this.currentConfig);
+    return this.setConfig({ ...this.defaultConfig }, userId);
+  },
+
+  // Replace the configuration, keeping the previous one for undo
+  async setConfig(config, userId) {
+    if (!this.isSameConfig(config, this.currentConfig)) {
+      this.history.past.push({ ...this.currentConfig });
+      if (this.history.past.length > this.historyLimit) this.history.past.shift();
+      this.history.future = [];
+    }
+
+    this.currentConfig = config;
+    return this.save(userId);
+  },
+
+  // Save the configuration and presets
+  async save(userId) {
+    try {
+      await StorageManager.saveAvatar(userId, this.currentConfig, this.presets);
+    } catch (error) {
+      console.error('Failed to save avatar:', error);
+      throw error;
+    }
+
+    await this.invalidateRenders(userId);
     return this.currentConfig;
   },
 
+  // Bring a configuration saved by an older version up to the current schema
+  migrateConfig(config) {
+    if ((config.schemaVersion || 1) >= this.schemaVersion) return config;
+
+    // Version 1 had no face, head covering or device options
+    return { ...this.defaultConfig, ...config, schemaVersion: this.schemaVersion };
+  },
+
+  isSameConfig(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => a[key] === b[key]);
+  },
+
+  // Undo/redo
+  canUndo() {
+    return this.history.past.length > 0;
+  },
+
+  canRedo() {
+    return this.history.future.length > 0;
+  },
+
+  async undo(userId) {
+    if (!this.canUndo()) return this.currentConfig;
+
+    this.history.future.push({ ...this.currentConfig });
+    this.currentConfig = this.history.past.pop();
+    return this.save(userId);
+  },
+
+  async redo(userId) {
+    if (!this.canRedo()) return this.currentConfig;
+
+    this.history.past.push({ ...this.currentConfig });
+    this.currentConfig = this.history.future.pop();
+    return this.save(userId);
+  },
+
+  // Random choice for every appearance option (undoable like any other change).
+  // Hearing devices and prosthetics are kept as they are.
+  async randomize(userId) {
+    const options = this.getAvailableOptions();
+    const pick = list => list[Math.floor(Math.random() * list.length)];
+
+    return this.updateConfig({
+      bodyType: pick(options.bodyTypes),
+      skinColor: pick(options.skinColors),
+      hairStyle: pick(options.hairStyles),
+      hairColor: pick(options.hairColors),
+      outfitType: pick(options.outfitTypes),
+      outfitColor: pick(options.outfitColors),
+      accessory: pick(options.accessories),
+      eyebrowStyle: pick(options.eyebrowStyles),
+      eyeColor: pick(options.eyeColors),
+      facialHair: pick(options.facialHairStyles),
+      headCovering: pick(options.headCoverings),
+      headCoveringColor: pick(options.headCoveringColors)
+    }, userId);
+  },
+
+  // Named presets, stored with the user's avatar
+  getPresets() {
+    return this.presets.map(preset => ({ ...preset, config: { ...preset.config } }));
+  },
+
+  async savePreset(name, userId) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+
+    const preset = { name: trimmed, config: { ...this.currentConfig }, createdAt: Date.now() };
+    this.presets = [...this.presets.filter(p => p.name !== trimmed), preset];
+    await this.save(userId);
+    return preset;
+  },
+
+  async applyPreset(name, userId) {
+    const preset = this.presets.find(p => p.name === name);
+    if (!preset) {
+      throw new Error(`Preset not found: ${name}`);
+    }
+
+    return this.setConfig(this.sanitizeConfig(preset.config), userId);
+  },
+
+  async deletePreset(name, userId) {
+    this.presets = this.presets.filter(p => p.name !== name);
+    await this.save(userId);
+    return this.getPresets();
+  },
+
   // Generate SVG avatar
   generateAvatarSVG(config = this.currentConfig, size = 300) {
     const c = config;
     
     return `
-      <svg width="${size}" height="${size}" viewBox="0 0 300 400" xmlns="http://www.w3.org/2000/svg">
+      <svg width="${size}" height="${size}" viewBox="0 0 300 400" xmlns="http://www.w3.org/2000/svg" data-body-type="${this.getBodyType(c)}">
         <!-- Body -->
         <g id="body">
           ${this.generateBody(c)}
@@ -85,15 +317,33 @@ const AvatarManager = {
         
         <!-- Hair -->
         <g id="hair">
-          ${this.generateHair(c)}
+          ${c.headCovering === 'hijab' ? '' : this.generateHair(c)}
+        </g>
+        
+        <!-- Head covering -->
+        <g id="headCovering">
+          ${this.generateHeadCovering(c)}
         </g>
         
-        <!-- Eyes -->
+        <!-- Hearing aids / cochlear implants -->
+        <g id="hearingDevices">
+          ${this.generateHearingDevices(c)}
+        </g>
+        
+        <!-- Eyes: iris, pupil and highlight; data-ry is the open height for blinking -->
         <g id="eyes">
-          <ellipse cx="125" cy="110" rx="8" ry="12" fill="#000"/>
-          <ellipse cx="175" cy="110" rx="8" ry="12" fill="#000"/>
-          <ellipse cx="127" cy="108" rx="3" ry="4" fill="#FFF"/>
-          <ellipse cx="177" cy="108" rx="3" ry="4" fill="#FFF"/>
+          <ellipse id="leftIris" cx="125" cy="110" rx="8" ry="12" data-ry="12" fill="${c.eyeColor || '#000'}" stroke="#000" stroke-width="1"/>
+          <ellipse id="rightIris" cx="175" cy="110" rx="8" ry="12" data-ry="12" fill="${c.eyeColor || '#000'}" stroke="#000" stroke-width="1"/>
+          <ellipse cx="125" cy="110" rx="4" ry="6" data-ry="6" fill="#000"/>
+          <ellipse cx="175" cy="110" rx="4" ry="6" data-ry="6" fill="#000"/>
+          <ellipse cx="127" cy="108" rx="3" ry="4" data-ry="4" fill="#FFF"/>
+          <ellipse cx="177" cy="108" rx="3" ry="4" data-ry="4" fill="#FFF"/>
+        </g>
+        
+        <!-- Eyebrows -->
+        <g id="eyebrows" data-style="${this.getEyebrowStyle(c)}">
+          ${this.generateEyebrow(c, 'left')}
+          ${this.generateEyebrow(c, 'right')}
         </g>
         
         <!-- Nose -->
@@ -101,6 +351,11 @@ const AvatarManager = {
           <path d="M 150 130 Q 145 135 150 140" stroke="#000" fill="none" stroke-width="1.5"/>
         </g>
         
+        <!-- Facial hair -->
+        <g id="facialHair">
+          ${this.generateFacialHair(c)}
+        </g>
+        
         <!-- Mouth -->
         <g id="mouth">
           <path d="M 130 155 Q 150 160 170 155" stroke="#000" fill="none" stroke-width="2" stroke-linecap="round"/>
@@ -115,6 +370,12 @@ const AvatarManager = {
         <g id="accessory">
           ${this.generateAccessory(c)}
         </g>
+
+        <!-- Arms -->
+        <g id="arms">
+          ${this.generateArm(c, 'left')}
+          ${this.generateArm(c, 'right')}
+        </g>
       </svg>
     `;
   },
@@ -178,28 +439,142 @@ const AvatarManager = {
     return hairStyles[config.hairStyle] || hairStyles.short;
   },
 
-  // Generate outfit
+  // Outlined eyebrow; the right one is on the viewer's right, like the right arm
+  generateEyebrow(config, side, brows = { lift: 0, tilt: 0 }) {
+    const style = this.getEyebrowStyle(config);
+    const d = this.getEyebrowPath(side, brows, style);
+    const { width } = this.eyebrowShapes[style];
+
+    return `
+      <g id="${side}Brow" fill="none" stroke-linecap="round">
+        <path d="${d}" stroke="#000" stroke-width="${width + 2.5}"/>
+        <path d="${d}" stroke="${config.hairColor}" stroke-width="${width}"/>
+      </g>`;
+  },
+
+  getEyebrowStyle(config) {
+    return this.eyebrowShapes[config.eyebrowStyle] ? config.eyebrowStyle : 'natural';
+  },
+
+  // Brow curve from its outer to its inner end: lift raises the brow,
+  // tilt lowers the inner end (a frown)
+  getEyebrowPath(side, { lift, tilt }, style = 'natural') {
+    const { arch } = this.eyebrowShapes[style] || this.eyebrowShapes.natural;
+    const direction = side === 'right' ? 1 : -1;
+    const y = 90 - lift;
+    const point = (x, dy) => `${150 + direction * x} ${(y + dy).toFixed(1)}`;
+
+    return `M ${point(38, 2)} Q ${point(25, 2 - arch)} ${point(12, tilt)}`;
+  },
+
+  // Facial hair in the hair colour, drawn under the mouth
+  generateFacialHair(config) {
+    const moustache = `
+        <path d="M 128 150 Q 139 140 150 146 Q 161 140 172 150 Q 161 154 150 151 Q 139 154 128 150 Z"
+              fill="${config.hairColor}" stroke="#000" stroke-width="1"/>`;
+
+    const styles = {
+      none: '',
+      stubble: `
+        <path d="M 84 140 Q 88 200 150 206 Q 212 200 216 140 Q 200 178 150 174 Q 100 178 84 140 Z"
+              fill="${config.hairColor}" opacity="0.3"/>`,
+      moustache,
+      goatee: `${moustache}
+        <path d="M 136 168 Q 150 163 164 168 Q 164 190 150 196 Q 136 190 136 168 Z"
+              fill="${config.hairColor}" stroke="#000" stroke-width="1"/>`,
+      beard: `
+        <path d="M 82 130 Q 84 206 150 214 Q 216 206 218 130 L 206 130 Q 200 168 172 166 Q 150 162 128 166 Q 100 168 94 130 Z"
+              fill="${config.hairColor}" stroke="#000" stroke-width="1.5"/>${moustache}`
+    };
+
+    return styles[config.facialHair] || '';
+  },
+
+  // Head covering over the hair; the hijab frames the face and hides the hair
+  generateHeadCovering(config) {
+    const color = config.headCoveringColor;
+
+    const coverings = {
+      none: '',
+      hijab: `
+        <path d="M 150 24 C 62 24 56 130 68 198 Q 80 236 150 242 Q 220 236 232 198 C 244 130 238 24 150 24 Z
+                 M 150 48 C 102 48 90 90 92 124 C 95 174 120 200 150 200 C 180 200 205 174 208 124 C 210 90 198 48 150 48 Z"
+              fill="${color}" fill-rule="evenodd" stroke="#000" stroke-width="2"/>`,
+      turban: `
+        <path d="M 78 104 Q 68 36 150 28 Q 232 36 222 104 Q 150 82 78 104 Z" fill="${color}" stroke="#000" stroke-width="2"/>
+        <path d="M 86 92 Q 150 46 214 92 M 100 60 Q 150 80 196 58" fill="none" stroke="#000" stroke-width="1.5" opacity="0.5"/>`,
+      kippah: `
+        <path d="M 116 44 Q 150 18 184 44 Q 150 36 116 44 Z" fill="${color}" stroke="#000" stroke-width="1.5"/>`,
+      beanie: `
+        <path d="M 78 100 Q 76 30 150 28 Q 224 30 222 100 Z" fill="${color}" stroke="#000" stroke-width="2"/>
+        <rect x="74" y="90" width="152" height="18" rx="8" fill="${color}" stroke="#000" stroke-width="2"/>
+        <circle cx="150" cy="24" r="10" fill="${color}" stroke="#000" stroke-width="2"/>`
+    };
+
+    return coverings[config.headCovering] || '';
+  },
+
+  // Behind-the-ear hearing aids or cochlear implant processors with their coils.
+  // One implant is on the right (viewer's right, like the right arm).
+  generateHearingDevices(config) {
+    const sides = {
+      none: [],
+      'hearing-aids': [['left', 'aid'], ['right', 'aid']],
+      'cochlear-implant': [['right', 'implant']],
+      'cochlear-implants': [['left', 'implant'], ['right', 'implant']]
+    };
+
+    return (sides[config.hearingDevice] || [])
+      .map(([side, type]) => this.generateHearingDevice(config, side, type))
+      .join('');
+  },
+
+  // Device at the left edge of the head, mirrored for the right side
+  generateHearingDevice(config, side, type) {
+    const mirror = side === 'right' ? ' transform="translate(300 0) scale(-1 1)"' : '';
+    const color = config.deviceColor;
+
+    const processor = `
+        <path d="M 84 104 Q 66 108 69 128 Q 71 139 79 137 Q 75 121 87 110 Z"
+              fill="${color}" stroke="#000" stroke-width="1.5"/>
+        <path d="M 79 137 Q 87 142 90 133" fill="none" stroke="#000" stroke-width="1.5"/>`;
+
+    const coil = type === 'implant' ? `
+        <path d="M 82 105 Q 80 96 86 92" fill="none" stroke="#000" stroke-width="1.5"/>
+        <circle cx="90" cy="86" r="9" fill="${color}" stroke="#000" stroke-width="1.5"/>
+        <circle cx="90" cy="86" r="3" fill="#000"/>` : '';
+
+    return `
+      <g id="${side}HearingDevice" class="${type === 'implant' ? 'cochlear-implant' : 'hearing-aid'}"${mirror}>${processor}${coil}
+      </g>`;
+  },
+
+  // Generate outfit (as wide as the body type's torso)
   generateOutfit(config) {
+    const w = this.bodyShapes[this.getBodyType(config)].halfWidth;
+    const left = 150 - w;
+    const right = 150 + w;
+
     const outfits = {
       casual: `
-        <rect x="100" y="200" width="100" height="120" fill="${config.outfitColor}" 
+        <rect x="${left}" y="200" width="${2 * w}" height="120" fill="${config.outfitColor}" 
               stroke="#000" stroke-width="2" rx="10"/>
-        <line x1="100" y1="200" x2="100" y2="320" stroke="#000" stroke-width="2"/>
-        <line x1="200" y1="200" x2="200" y2="320" stroke="#000" stroke-width="2"/>
+        <line x1="${left}" y1="200" x2="${left}" y2="320" stroke="#000" stroke-width="2"/>
+        <line x1="${right}" y1="200" x2="${right}" y2="320" stroke="#000" stroke-width="2"/>
       `,
       formal: `
-        <path d="M 100 200 L 100 320 L 200 320 L 200 200 Z" fill="${config.outfitColor}" 
+        <path d="M ${left} 200 L ${left} 320 L ${right} 320 L ${right} 200 Z" fill="${config.outfitColor}" 
               stroke="#000" stroke-width="2"/>
         <path d="M 150 200 L 130 240 L 150 280 L 170 240 Z" fill="#FFF" stroke="#000" stroke-width="1"/>
         <rect x="145" y="200" width="10" height="25" fill="#000"/>
       `,
       sporty: `
-        <path d="M 95 200 L 95 320 L 205 320 L 205 200 Z" fill="${config.outfitColor}" 
+        <path d="M ${left - 5} 200 L ${left - 5} 320 L ${right + 5} 320 L ${right + 5} 200 Z" fill="${config.outfitColor}" 
               stroke="#000" stroke-width="2"/>
         <path d="M 120 220 L 180 220 L 180 300 L 120 300 Z" fill="#FFF" opacity="0.3"/>
       `,
       traditional: `
-        <path d="M 90 200 Q 150 210 210 200 L 210 330 Q 150 320 90 330 Z" 
+        <path d="M ${left - 10} 200 Q 150 210 ${right + 10} 200 L ${right + 10} 330 Q 150 320 ${left - 10} 330 Z" 
               fill="${config.outfitColor}" stroke="#000" stroke-width="2"/>
         <path d="M 120 230 L 180 230" stroke="#FFD700" stroke-width="3"/>
       `
@@ -208,6 +583,41 @@ const AvatarManager = {
     return outfits[config.outfitType] || outfits.casual;
   },
 
+  getBodyType(config) {
+    return this.bodyShapes[config.bodyType] ? config.bodyType : 'default';
+  },
+
+  // Anchor points for placing signs, in viewBox units: the shoulder joints, the
+  // chest, and the chin and forehead on the face. With a render size the points
+  // are in pixels of generateAvatarSVG(config, size) instead.
+  getAnchors(bodyType = 'default', size = null) {
+    const body = this.bodyShapes[bodyType] || this.bodyShapes.default;
+    const shoulderOffset = body.halfWidth - 3;
+
+    const anchors = {
+      shoulders: {
+        left: { x: 150 - shoulderOffset, y: body.shoulderY },
+        right: { x: 150 + shoulderOffset, y: body.shoulderY }
+      },
+      chest: { x: 150, y: body.shoulderY + 33 },
+      chin: { x: 150, y: 190 },
+      forehead: { x: 150, y: 80 }
+    };
+
+    if (!size) return anchors;
+
+    // The 300 x 400 viewBox is centred in a size x size square
+    const scale = size / 400;
+    const toPixels = ({ x, y }) => ({ x: (size - 300 * scale) / 2 + x * scale, y: y * scale });
+
+    return {
+      shoulders: { left: toPixels(anchors.shoulders.left), right: toPixels(anchors.shoulders.right) },
+      chest: toPixels(anchors.chest),
+      chin: toPixels(anchors.chin),
+      forehead: toPixels(anchors.forehead)
+    };
+  },
+
   // Generate accessory
   generateAccessory(config) {
     const accessories = {
@@ -235,11 +645,206 @@ const AvatarManager = {
     return accessories[config.accessory] || accessories.none;
   },
 
+  // Generate a jointed arm: shoulder → elbow → wrist → palm and finger segments
+  generateArm(config, side, pose = this.rig.rest) {
+    const r = this.rig;
+    const shoulder = this.getAnchors(config.bodyType).shoulders[side];
+    const mirror = side === 'left' ? ' scale(-1 1)' : '';
+
+    // A prosthetic forearm and hand take the device colour, with a socket below the elbow
+    const prosthetic = config.prosthetic === `${side}-arm`;
+    const limbColor = prosthetic ? config.deviceColor : config.skinColor;
+    const fingers = ['index', 'middle', 'ring', 'pinky', 'thumb']
+      .map(name => this.generateFinger(config, side, name, pose.fingers[name], limbColor))
+      .join('');
+
+    return `
+      <g id="${side}Arm" class="arm" transform="translate(${shoulder.x} ${shoulder.y})${mirror}">
+        <g id="${side}Shoulder" transform="${this.getJointTransform(0, 0, pose.shoulder)}">
+          ${this.generateSegment(r.upperArm, config.outfitColor, 16)}
+          <g id="${side}Elbow" transform="${this.getJointTransform(0, r.upperArm, pose.elbow)}">
+            ${this.generateSegment(r.forearm, limbColor, 12)}
+            ${prosthetic ? `<rect id="${side}Prosthesis" x="-9" y="2" width="18" height="20" rx="4" fill="${config.deviceColor}" stroke="#000" stroke-width="1.5"/>` : ''}
+            <g id="${side}Wrist" transform="${this.getJointTransform(0, r.forearm, pose.wrist)}">
+              <rect id="${side}Palm" x="${-r.palmWidth / 2}" y="-2" width="${r.palmWidth}" height="${r.palmLength + 2}"
+                    rx="7" fill="${limbColor}" stroke="#000" stroke-width="1.5"/>
+              ${fingers}
+            </g>
+          </g>
+        </g>
+      </g>
+    `;
+  },
+
+  // Finger as nested segment groups (#rightIndex1 > #rightIndex2 > #rightIndex3)
+  generateFinger(config, side, name, values, color = config.skinColor) {
+    const { base } = this.rig.fingers[name];
+    const lengths = this.getFingerLengths(name, values);
+    const width = name === 'thumb' ? 7 : 6;
+
+    return lengths.reduceRight((inner, length, i) => `
+      <g id="${this.getFingerId(side, name, i + 1)}"
+         transform="${i === 0 ? this.getJointTransform(base[0], base[1], values[0]) : this.getJointTransform(0, lengths[i - 1], 0)}">
+        ${this.generateSegment(length, color, width)}
+        ${inner}
+      </g>
+    `, '');
+  },
+
+  // Limb segment: outline line under a coloured line
+  generateSegment(length, color, width) {
+    return `
+      <line x1="0" y1="0" x2="0" y2="${length}" stroke="#000" stroke-width="${width + 2.5}" stroke-linecap="round"/>
+      <line x1="0" y1="0" x2="0" y2="${length}" stroke="${color}" stroke-width="${width}" stroke-linecap="round"/>
+    `;
+  },
+
+  getJointTransform(x, y, angle) {
+    return `translate(${+x.toFixed(2)} ${+y.toFixed(2)}) rotate(${+angle.toFixed(2)})`;
+  },
+
+  getFingerId(side, name, segment) {
+    return `${side}${name.charAt(0).toUpperCase()}${name.slice(1)}${segment}`;
+  },
+
+  // Drawn segment lengths: flexion bends a segment towards the palm, so it is foreshortened
+  getFingerLengths(name, values) {
+    let flexion = 0;
+
+    return this.rig.fingers[name].segments.map((length, i) => {
+      flexion += values[i + 1];
+      return length * Math.cos(flexion * Math.PI / 180);
+    });
+  },
+
   // Render avatar to element
   renderToElement(element, config = this.currentConfig, size = 300) {
     element.innerHTML = this.generateAvatarSVG(config, size);
   },
 
+  // Render the current avatar from the cache as live SVG (for animating)
+  async renderCachedToElement(element, size = 300) {
+    const render = await this.getRender(size);
+    element.innerHTML = render.svg;
+  },
+
+  // Render the current avatar from the cache as a PNG image (for thumbnails)
+  async renderCachedImage(element, size = 300) {
+    const render = await this.getRender(size);
+
+    if (!render.png) {
+      element.innerHTML = render.svg;
+      return;
+    }
+
+    const img = document.createElement('img');
+    img.width = size;
+    img.height = size;
+    img.alt = 'Avatar';
+    img.onload = () => URL.revokeObjectURL(img.src);
+    img.src = URL.createObjectURL(render.png);
+    element.replaceChildren(img);
+  },
+
+  // SVG and PNG of a configuration at a size, from memory, then IndexedDB,
+  // and only rendered when neither has it
+  getRender(size = 300, config = this.currentConfig) {
+    const hash = this.hashConfig(config);
+    const key = `${this.userId || 'guest'}:${hash}:${size}`;
+
+    if (!this.renderCache.has(key)) {
+      this.renderCache.set(key, this.loadRender(key, hash, size, config));
+    }
+
+    return this.renderCache.get(key);
+  },
+
+  async loadRender(key, hash, size, config) {
+    try {
+      const stored = await StorageManager.getAvatarRender(key);
+      if (stored) return stored;
+    } catch (error) {
+      console.warn('Avatar render cache unavailable:', error);
+    }
+
+    const svg = this.generateAvatarSVG(config, size);
+    let png = null;
+
+    try {
+      png = await this.rasterize(svg, size);
+    } catch (error) {
+      console.warn('Failed to rasterise avatar:', error);
+    }
+
+    const render = { key, userId: this.userId, hash, size, svg, png, createdAt: Date.now() };
+
+    try {
+      await StorageManager.saveAvatarRender(render);
+    } catch (error) {
+      console.warn('Failed to cache avatar render:', error);
+    }
+
+    return render;
+  },
+
+  // Drop cached renders of anything but the current configuration
+  async invalidateRenders(userId = this.userId) {
+    this.renderCache.clear();
+
+    try {
+      await StorageManager.deleteAvatarRenders(userId, this.hashConfig(this.currentConfig));
+    } catch (error) {
+      console.warn('Failed to clear avatar render cache:', error);
+    }
+  },
+
+  // Short stable hash of a configuration (FNV-1a over its sorted entries)
+  hashConfig(config) {
+    const entries = Object.keys(config).sort().map(key => [key, config[key]]);
+    const text = `${this.renderVersion}:${JSON.stringify(entries)}`;
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    return hash.toString(16).padStart(8, '0');
+  },
+
+  // Draw an avatar SVG onto a size x size canvas and return it as a PNG blob
+  rasterize(svg, size) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+      const img = new Image();
+
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(img, 0, 0, size, size);
+        URL.revokeObjectURL(url);
+
+        canvas.toBlob(blob => {
+          if (blob) resolve(blob);
+          else reject(new Error('Failed to encode avatar PNG'));
+        }, 'image/png');
+      };
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load avatar SVG'));
+      };
+
+      img.src = url;
+    });
+  },
+
+  // Configuration with the high-contrast palette applied
+  getHighContrastConfig(config = this.currentConfig) {
+    return { ...config, ...this.highContrastPalette };
+  },
+
   // Get avatar as data URL
   getAvatarDataURL(config = this.currentConfig, size = 300) {
     const svg = this.generateAvatarSVG(config, size);
@@ -247,36 +852,112 @@ const AvatarManager = {
     return URL.createObjectURL(blob);
   },
 
-  // Export avatar
+  // Export avatar (from the render cache)
   async exportAvatar(format = 'svg', size = 300) {
-    const svg = this.generateAvatarSVG(this.currentConfig, size);
+    const render = await this.getRender(size);
     
     if (format === 'svg') {
-      Utils.downloadFile(svg, `avatar-${Date.now()}.svg`, 'image/svg+xml');
+      Utils.downloadFile(render.svg, `avatar-${Date.now()}.svg`, 'image/svg+xml');
     } else if (format === 'png') {
-      // Convert SVG to PNG
-      const canvas = document.createElement('canvas');
-      canvas.width = size;
-      canvas.height = size * (4/3); // Maintain aspect ratio
-      
-      const ctx = canvas.getContext('2d');
-      const img = new Image();
-      
-      img.onload = () => {
-        ctx.drawImage(img, 0, 0);
-        canvas.toBlob(blob => {
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a');
-          a.href = url;
-          a.download = `avatar-${Date.now()}.png`;
-          a.click();
-          URL.revokeObjectURL(url);
-        });
-      };
-      
-      const svgBlob = new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
-      img.src = URL.createObjectURL(svgBlob);
+      if (!render.png) {
+        throw new Error('Failed to create avatar PNG');
+      }
+      Utils.downloadFile(render.png, `avatar-${Date.now()}.png`, 'image/png');
+    }
+  },
+
+  // Compact code for sharing a configuration, e.g. between devices
+  getShareCode(config = this.currentConfig) {
+    const digits = this.shareCodeFields.map(({ key, options }) => {
+      if (options) {
+        return Math.max(0, this[options].indexOf(config[key])).toString(36);
+      }
+      return /^#[0-9a-f]{6}$/i.test(config[key]) ? config[key].slice(1).toUpperCase() : '000000';
+    });
+
+    return `SS${this.shareCodeVersion}-${digits.join('')}`;
+  },
+
+  // Configuration from a share code of this or an earlier version
+  parseShareCode(code) {
+    const [prefix, body = ''] = String(code).trim().toUpperCase().split('-');
+    const match = /^SS(\d+)$/.exec(prefix);
+    const version = match ? parseInt(match[1], 10) : 0;
+
+    if (version < 1 || version > this.shareCodeVersion) {
+      throw new Error('Unrecognised avatar code');
     }
+
+    const config = { ...this.defaultConfig };
+    const fields = this.shareCodeFields.filter(field => (field.since || 1) <= version);
+    let offset = 0;
+
+    for (const { key, options } of fields) {
+      if (options) {
+        const value = this[options][parseInt(body[offset], 36)];
+        if (value === undefined) throw new Error('Invalid avatar code');
+        config[key] = value;
+        offset += 1;
+      } else {
+        const hex = body.slice(offset, offset + 6);
+        if (!/^[0-9A-F]{6}$/.test(hex)) throw new Error('Invalid avatar code');
+        config[key] = `#${hex}`;
+        offset += 6;
+      }
+    }
+
+    if (offset !== body.length) {
+      throw new Error('Invalid avatar code');
+    }
+
+    return config;
+  },
+
+  // Known options only; anything missing or invalid falls back to the default
+  sanitizeConfig(config) {
+    const clean = { ...this.defaultConfig };
+
+    for (const { key, options } of this.shareCodeFields) {
+      const value = config[key];
+      const valid = options
+        ? this[options].includes(value)
+        : /^#[0-9a-f]{6}$/i.test(value);
+      if (valid) clean[key] = value;
+    }
+
+    return clean;
+  },
+
+  // Download the configuration as a JSON file
+  exportConfigFile(config = this.currentConfig) {
+    const data = {
+      type: 'signspeak-avatar',
+      version: 1,
+      code: this.getShareCode(config),
+      config
+    };
+
+    Utils.downloadFile(JSON.stringify(data, null, 2), `avatar-${Date.now()}.json`, 'application/json');
+  },
+
+  // Import a share code or an exported JSON file's text (undoable)
+  async importConfig(input, userId) {
+    const text = String(input || '').trim();
+    let config;
+
+    if (text.startsWith('{')) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error('Invalid avatar file');
+      }
+      config = this.sanitizeConfig(data.config || data);
+    } else {
+      config = this.parseShareCode(text);
+    }
+
+    return this.setConfig(config, userId);
   },
 
   // Get all available options
@@ -286,8 +967,16 @@ const AvatarManager = {
       hairStyles: this.hairStyles,
       outfitTypes: this.outfitTypes,
       accessories: this.accessories,
+      eyebrowStyles: this.eyebrowStyles,
+      facialHairStyles: this.facialHairStyles,
+      headCoverings: this.headCoverings,
+      hearingDevices: this.hearingDevices,
+      prosthetics: this.prosthetics,
       skinColors: ['#F4C2A0', '#E4A876', '#D1915E', '#B87850', '#8B5A3C', '#5D3A1A'],
       hairColors: ['#2C1B18', '#5C3317', '#8B4513', '#DAA520', '#FFD700', '#FF0000', '#0000FF'],
+      eyeColors: ['#3B2314', '#6B4226', '#8E7618', '#3A7D44', '#2E6DB4', '#6B7B8C'],
+      headCoveringColors: ['#1F2937', '#FFFFFF', '#4F46E5', '#10B981', '#EF4444', '#EC4899'],
+      deviceColors: ['#9CA3AF', '#D6C2A8', '#4F46E5', '#EF4444', '#10B981', '#F59E0B'],
       outfitColors: ['#4F46E5', '#10B981', '#EF4444', '#F59E0B', '#8B5CF6', '#EC4899']
     };
   }
@@ -6,37 +6,309 @@ class CameraHandler {
     this.videoElement = videoElement;
     this.stream = null;
 
+    // Selected camera, known cameras and the negotiated track settings
+    this.deviceId = null;
+    this.devices = [];
+    this.trackSettings = null;
+    this.recovering = false;
+
     // Face API state
     this.faceApiLoaded = false;
-    this.faceDetectionInterval = null;
     this.faceDetectionCanvas = null;
     this.isFaceDetectionRunning = false;
 
-    // Optional callback for UI
+    // Frame scheduler: one detection at a time, paced by the performance mode.
+    // detectionRun changes on every start/stop so late results are dropped;
+    // detecting stays set until the detection in flight settles, whatever the run.
+    this.performanceMode = 'balanced';
+    this.displaySize = null;
+    this.frameRequest = null;
+    this.detecting = false;
+    this.detectionRun = 0;
+    this.detectionPaused = false;
+    this.targetFps = 0;
+    this.inputSizeIndex = 0;
+    this.averageLatency = null;
+    this.lastDetectionTime = 0;
+    this.lastAdaptTime = 0;
+
+    // Target and minimum detection rates, and the detector input sizes to step
+    // through (largest first), per performance mode
+    this.performanceProfiles = {
+      quality: { maxFps: 15, minFps: 5, inputSizes: [416, 320, 224] },
+      balanced: { maxFps: 10, minFps: 4, inputSizes: [320, 224, 160] },
+      performance: { maxFps: 6, minFps: 2, inputSizes: [224, 160, 128] }
+    };
+
+    // Latest 68-point face landmarks (for calibration and facial grammar)
+    this.lastFaceLandmarks = null;
+
+    // Optional callbacks for UI
     this.onMoodDetected = null;
+    this.onFaceLandmarks = null;
+    this.onDevicesChanged = null;    // (devices, currentDeviceId)
+    this.onResolutionChanged = null; // (trackSettings)
+    this.onDeviceLost = null;        // (lostDeviceId, newDevice or null)
+
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    this.handleTrackEnded = this.handleTrackEnded.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
   }
 
   /* ===============================
      CAMERA INITIALIZATION
      =============================== */
-  async init(constraints = { video: true, audio: false }) {
+  // Opens the saved camera (or the given constraints) and starts face detection
+  async init(constraints = null) {
     try {
-      this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-      this.videoElement.srcObject = this.stream;
+      await this.openStream(constraints || this.getConstraints(this.getPreferredDeviceId()));
 
-      await this.videoElement.play();
+      navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+      navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
 
-      // Ensure metadata is ready
-      await new Promise(resolve => {
-        if (this.videoElement.readyState >= 2) resolve();
-        this.videoElement.onloadedmetadata = () => resolve();
-      });
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+      // The mode is changed on the settings screen, so it is read once per start
+      this.setPerformanceMode(this.getSavedSetting('performanceMode') || this.performanceMode);
 
       await this.loadFaceApiModels();
       this.startFaceDetection();
 
     } catch (error) {
       console.error('Camera initialization failed:', error);
+      throw error;
+    }
+  }
+
+  /* ===============================
+     CAMERA STREAM
+     =============================== */
+  async openStream(constraints) {
+    this.stopStream();
+
+    try {
+      this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (error) {
+      // The saved camera is gone: fall back to whichever camera the browser picks
+      const wantsDevice = constraints.video && constraints.video.deviceId;
+      if (!wantsDevice || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+
+      // ...facing the same way as the missing one, if that is known
+      const { facingMode } = this.getDevicePreferences(wantsDevice.exact);
+      console.warn('Saved camera unavailable, using default camera');
+      this.stream = await navigator.mediaDevices.getUserMedia(this.getConstraints(null, facingMode));
+    }
+
+    const track = this.stream.getVideoTracks()[0];
+    track.addEventListener('ended', this.handleTrackEnded);
+
+    this.videoElement.srcObject = this.stream;
+    await this.videoElement.play();
+
+    // Ensure metadata is ready
+    await new Promise(resolve => {
+      if (this.videoElement.readyState >= 2) resolve();
+      this.videoElement.onloadedmetadata = () => resolve();
+    });
+
+    this.deviceId = track.getSettings().deviceId || null;
+    await this.rememberFacingMode(track);
+    await this.updateDevices();
+    this.updateTrackSettings();
+  }
+
+  stopStream() {
+    if (!this.stream) return;
+
+    this.stream.getTracks().forEach(track => {
+      track.removeEventListener('ended', this.handleTrackEnded);
+      track.stop();
+    });
+    this.stream = null;
+  }
+
+  // getUserMedia constraints from the saved resolution and facing mode
+  getConstraints(deviceId, facingMode = null) {
+    const resolution = this.getResolution(deviceId);
+    const video = {
+      width: { ideal: resolution.width },
+      height: { ideal: resolution.height }
+    };
+
+    if (deviceId) {
+      video.deviceId = { exact: deviceId };
+    } else {
+      video.facingMode = { ideal: facingMode || this.getSavedSetting('preferredCamera') || 'user' };
+    }
+
+    return { video, audio: false };
+  }
+
+  getResolution(deviceId = this.deviceId) {
+    if (typeof SettingsManager === 'undefined') return { width: 1280, height: 720 };
+    return SettingsManager.getCameraResolution(deviceId);
+  }
+
+  getDevicePreferences(deviceId) {
+    return typeof SettingsManager !== 'undefined' ? SettingsManager.getCameraPreferences(deviceId) : {};
+  }
+
+  getPreferredDeviceId() {
+    return this.getSavedSetting('preferredCameraId');
+  }
+
+  getSavedSetting(key) {
+    return typeof SettingsManager !== 'undefined' ? SettingsManager.getSetting(key) : null;
+  }
+
+  // Facing mode reported by the camera, if any, becomes its saved preference
+  async rememberFacingMode(track) {
+    const { facingMode } = track.getSettings();
+    if (!facingMode || !this.deviceId || typeof SettingsManager === 'undefined') return;
+    if (SettingsManager.getCameraPreferences(this.deviceId).facingMode === facingMode) return;
+
+    await SettingsManager.saveCameraPreferences(this.deviceId, { facingMode });
+  }
+
+  /* ===============================
+     DEVICE SELECTION
+     =============================== */
+  // Video inputs (labels are only filled in once camera permission is granted)
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+      .filter(device => device.kind === 'videoinput')
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        groupId: device.groupId,
+        label: device.label || `Camera ${i + 1}`
+      }));
+  }
+
+  async updateDevices() {
+    this.devices = await this.listDevices();
+
+    if (this.onDevicesChanged) {
+      this.onDevicesChanged(this.devices, this.deviceId);
+    }
+
+    return this.devices;
+  }
+
+  // Switch to another camera and remember it
+  async switchDevice(deviceId) {
+    if (deviceId === this.deviceId && this.stream) return this.trackSettings;
+
+    await this.openStream(this.getConstraints(deviceId));
+
+    if (typeof SettingsManager !== 'undefined') {
+      await SettingsManager.updateSetting('preferredCameraId', this.deviceId);
+    }
+
+    this.refreshFaceDetection();
+    return this.trackSettings;
+  }
+
+  // Change the resolution ('sd', 'hd', 'fhd') of the current camera and remember it
+  async setResolution(key) {
+    if (typeof SettingsManager !== 'undefined' && this.deviceId) {
+      await SettingsManager.saveCameraPreferences(this.deviceId, { resolution: key });
+    }
+
+    const track = this.stream && this.stream.getVideoTracks()[0];
+    if (!track) return null;
+
+    const resolution = this.getResolution();
+
+    try {
+      await track.applyConstraints({
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height }
+      });
+      this.updateTrackSettings();
+    } catch (error) {
+      console.warn('Could not change resolution in place, reopening camera:', error);
+      await this.openStream(this.getConstraints(this.deviceId));
+    }
+
+    this.refreshFaceDetection();
+    return this.trackSettings;
+  }
+
+  // Resolution and frame rate the camera actually delivers
+  updateTrackSettings() {
+    const track = this.stream && this.stream.getVideoTracks()[0];
+    const settings = track ? track.getSettings() : {};
+    const device = this.devices.find(d => d.deviceId === this.deviceId);
+
+    this.trackSettings = {
+      deviceId: this.deviceId,
+      label: device ? device.label : (track ? track.label : ''),
+      width: settings.width || this.videoElement.videoWidth,
+      height: settings.height || this.videoElement.videoHeight,
+      frameRate: settings.frameRate || null,
+      facingMode: settings.facingMode || null
+    };
+
+    if (this.onResolutionChanged) {
+      this.onResolutionChanged(this.trackSettings);
+    }
+
+    return this.trackSettings;
+  }
+
+  /* ===============================
+     DEVICE LOSS RECOVERY
+     =============================== */
+  async handleDeviceChange() {
+    const devices = await this.updateDevices();
+
+    if (this.stream && this.deviceId && !devices.some(d => d.deviceId === this.deviceId)) {
+      await this.recoverFromDeviceLoss();
+    }
+  }
+
+  async handleTrackEnded() {
+    if (this.stream) {
+      await this.recoverFromDeviceLoss();
+    }
+  }
+
+  // The current camera went away: move to the preferred or first remaining one
+  async recoverFromDeviceLoss() {
+    if (this.recovering) return;
+    this.recovering = true;
+
+    const lostDeviceId = this.deviceId;
+    this.stopStream();
+
+    try {
+      const devices = await this.updateDevices();
+      const preferred = this.getPreferredDeviceId();
+      const next = devices.find(d => d.deviceId === preferred && d.deviceId !== lostDeviceId) ||
+        devices.find(d => d.deviceId !== lostDeviceId);
+
+      if (!next) {
+        this.deviceId = null;
+        this.stopFaceDetection();
+        this.videoElement.srcObject = null;
+        if (this.onDeviceLost) this.onDeviceLost(lostDeviceId, null);
+        return;
+      }
+
+      await this.openStream(this.getConstraints(next.deviceId));
+      this.refreshFaceDetection();
+
+      if (this.onDeviceLost) {
+        this.onDeviceLost(lostDeviceId, this.devices.find(d => d.deviceId === this.deviceId) || next);
+      }
+    } catch (error) {
+      console.error('Camera recovery failed:', error);
+      if (this.onDeviceLost) this.onDeviceLost(lostDeviceId, null);
+    } finally {
+      this.recovering = false;
     }
   }
 
@@ -71,42 +343,194 @@ class CameraHandler {
     video.parentElement.style.position = 'relative';
     video.parentElement.appendChild(this.faceDetectionCanvas);
 
-    const displaySize = {
+    this.displaySize = {
       width: video.videoWidth,
       height: video.videoHeight
     };
 
-    faceapi.matchDimensions(this.faceDetectionCanvas, displaySize);
+    faceapi.matchDimensions(this.faceDetectionCanvas, this.displaySize);
 
-    this.faceDetectionInterval = setInterval(async () => {
-      if (video.paused || video.ended) return;
+    this.isFaceDetectionRunning = true;
+    this.detectionRun++;
+    this.lastDetectionTime = 0;
+    this.scheduleNextFrame();
+  }
+
+  // Detect on one frame and report mood and landmarks
+  async detectFace(run) {
+    const video = this.videoElement;
+    const { inputSize } = this.getDetectionStats();
+
+    const detections = await faceapi
+      .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ inputSize }))
+      .withFaceLandmarks()
+      .withFaceExpressions();
 
-      const detections = await faceapi
-        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions())
-        .withFaceLandmarks()
-        .withFaceExpressions();
+    // Stopped or restarted while this frame was being processed
+    if (run !== this.detectionRun) return;
 
-      const resizedDetections = faceapi.resizeResults(detections, displaySize);
-      const ctx = this.faceDetectionCanvas.getContext('2d');
+    const resizedDetections = faceapi.resizeResults(detections, this.displaySize);
+    const ctx = this.faceDetectionCanvas.getContext('2d');
 
-      ctx.clearRect(0, 0, this.faceDetectionCanvas.width, this.faceDetectionCanvas.height);
+    ctx.clearRect(0, 0, this.faceDetectionCanvas.width, this.faceDetectionCanvas.height);
 
-      faceapi.draw.drawDetections(this.faceDetectionCanvas, resizedDetections);
-      faceapi.draw.drawFaceLandmarks(this.faceDetectionCanvas, resizedDetections);
+    faceapi.draw.drawDetections(this.faceDetectionCanvas, resizedDetections);
+    faceapi.draw.drawFaceLandmarks(this.faceDetectionCanvas, resizedDetections);
 
-      // Mood detection (first detected face)
-      if (resizedDetections.length > 0) {
-        const expressions = resizedDetections[0].expressions;
-        const mood = this.extractMood(expressions);
+    // Mood detection (first detected face)
+    if (resizedDetections.length > 0) {
+      const expressions = resizedDetections[0].expressions;
+      const mood = this.extractMood(expressions);
 
-        if (this.onMoodDetected) {
-          this.onMoodDetected(mood, expressions);
-        }
+      if (this.onMoodDetected) {
+        this.onMoodDetected(mood, expressions);
       }
 
-    }, 120);
+      // Landmarks for non-manual markers (eyebrows, head, mouth)
+      this.lastFaceLandmarks = resizedDetections[0].landmarks.positions;
 
-    this.isFaceDetectionRunning = true;
+      if (this.onFaceLandmarks) {
+        this.onFaceLandmarks(this.lastFaceLandmarks, performance.now());
+      }
+    } else {
+      this.lastFaceLandmarks = null;
+    }
+  }
+
+  /* ===============================
+     FRAME SCHEDULER
+     =============================== */
+  // Wait for the next video frame (or animation frame where
+  // requestVideoFrameCallback is not supported); while a detection is in
+  // flight, handleFrame schedules once it settles
+  scheduleNextFrame() {
+    if (!this.isFaceDetectionRunning || this.detectionPaused || this.frameRequest || this.detecting) return;
+
+    const video = this.videoElement;
+    const run = this.detectionRun;
+
+    if (typeof video.requestVideoFrameCallback === 'function') {
+      this.frameRequest = { video: true, id: video.requestVideoFrameCallback(now => this.handleFrame(run, now)) };
+    } else {
+      this.frameRequest = { video: false, id: requestAnimationFrame(now => this.handleFrame(run, now)) };
+    }
+  }
+
+  cancelFrame() {
+    if (!this.frameRequest) return;
+
+    if (this.frameRequest.video) {
+      this.videoElement.cancelVideoFrameCallback(this.frameRequest.id);
+    } else {
+      cancelAnimationFrame(this.frameRequest.id);
+    }
+    this.frameRequest = null;
+  }
+
+  // Runs detection when the target interval has passed; no frame is requested
+  // until it settles (even if detection was paused or restarted meanwhile), so
+  // detections never overlap
+  async handleFrame(run, now) {
+    if (run !== this.detectionRun) return;
+    this.frameRequest = null;
+
+    const video = this.videoElement;
+    const due = now - this.lastDetectionTime >= 1000 / this.targetFps;
+
+    if (due && !video.paused && !video.ended) {
+      this.lastDetectionTime = now;
+      this.detecting = true;
+      const start = performance.now();
+
+      try {
+        await this.detectFace(run);
+      } catch (error) {
+        console.error('Face detection failed:', error);
+      } finally {
+        this.detecting = false;
+      }
+
+      if (run === this.detectionRun) {
+        this.adaptToLatency(performance.now() - start, now);
+      }
+    }
+
+    this.scheduleNextFrame();
+  }
+
+  // Once a second, compare the average detection time with the frame budget:
+  // when it is too slow use a smaller input first, then a lower rate; when
+  // there is room, raise the rate first, then the input size
+  adaptToLatency(latency, now) {
+    this.averageLatency = this.averageLatency === null ? latency : this.averageLatency * 0.8 + latency * 0.2;
+    if (now - this.lastAdaptTime < 1000) return;
+    this.lastAdaptTime = now;
+
+    const profile = this.getPerformanceProfile();
+    const budget = 1000 / this.targetFps;
+
+    if (this.averageLatency > budget * 0.8) {
+      if (this.inputSizeIndex < profile.inputSizes.length - 1) {
+        this.inputSizeIndex++;
+      } else {
+        this.targetFps = Math.max(profile.minFps, this.targetFps - 1);
+      }
+    } else if (this.averageLatency < budget * 0.4) {
+      if (this.targetFps < profile.maxFps) {
+        this.targetFps++;
+      } else if (this.inputSizeIndex > 0) {
+        this.inputSizeIndex--;
+      }
+    }
+  }
+
+  getPerformanceProfile() {
+    return this.performanceProfiles[this.performanceMode] || this.performanceProfiles.balanced;
+  }
+
+  // 'quality', 'balanced' or 'performance'; adaptation restarts from the mode's best settings
+  setPerformanceMode(mode) {
+    this.performanceMode = this.performanceProfiles[mode] ? mode : 'balanced';
+    this.targetFps = this.getPerformanceProfile().maxFps;
+    this.inputSizeIndex = 0;
+    this.averageLatency = null;
+  }
+
+  // Current scheduler state, e.g. for a debug overlay
+  getDetectionStats() {
+    const profile = this.getPerformanceProfile();
+
+    return {
+      mode: this.performanceMode,
+      targetFps: this.targetFps,
+      inputSize: profile.inputSizes[this.inputSizeIndex],
+      latency: this.averageLatency,
+      paused: this.detectionPaused
+    };
+  }
+
+  // Stop detecting while the page is hidden
+  setPaused(paused) {
+    this.detectionPaused = paused;
+
+    if (paused) {
+      this.cancelFrame();
+    } else {
+      this.lastDetectionTime = 0;
+      this.scheduleNextFrame();
+    }
+  }
+
+  handleVisibilityChange() {
+    this.setPaused(document.hidden);
+  }
+
+  // Restart detection so the overlay matches a new video size
+  refreshFaceDetection() {
+    if (!this.isFaceDetectionRunning) return;
+
+    this.stopFaceDetection();
+    this.startFaceDetection();
   }
 
   /* ===============================
@@ -121,10 +545,8 @@ class CameraHandler {
      STOP FACE DETECTION
      =============================== */
   stopFaceDetection() {
-    if (this.faceDetectionInterval) {
-      clearInterval(this.faceDetectionInterval);
-      this.faceDetectionInterval = null;
-    }
+    this.cancelFrame();
+    this.detectionRun++;
 
     if (this.faceDetectionCanvas) {
       this.faceDetectionCanvas.remove();
@@ -139,11 +561,9 @@ class CameraHandler {
      =============================== */
   cleanup() {
     this.stopFaceDetection();
-
-    if (this.stream) {
-      this.stream.getTracks().forEach(track => track.stop());
-      this.stream = null;
-    }
+    this.stopStream();
+    navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
 
     if (this.videoElement) {
       this.videoElement.srcObject = null;
@@ -0,0 +1,398 @@
+// js/fingerspelling.js - Manual Alphabet (Fingerspelling) Recogniser
+
+const Fingerspelling = {
+  // Manual alphabet: 'asl' (one-handed templates) or 'bsl' (two-handed, TwoHandedAlphabet)
+  alphabet: 'asl',
+
+  // Debounce & word segmentation
+  holdFrames: 6,
+  releaseFrames: 3,
+  minConfidence: 0.6,
+  wordPause: 1200,
+  bounceDistance: 0.04,
+
+  // Motion letters
+  trajectoryWindow: 1200,
+  trajectory: [],
+
+  // Recogniser state
+  candidate: null,
+  candidateFrames: 0,
+  candidateConfidence: 0,
+  lockedLetter: null,
+  releaseCount: 0,
+  lockedWrist: null,
+  currentWord: [],
+  lastLetterTime: 0,
+
+  // Optional callbacks
+  onLetter: null,
+  onWord: null,
+
+  // ASL handshape templates. Finger values are extension (0 = curled, 1 = straight);
+  // thumbSlot is where the thumb tip sits along the knuckles (0 = index, 1 = pinky).
+  letterTemplates: {
+    A: { thumb: 0.5, index: 0, middle: 0, ring: 0, pinky: 0, thumbSlot: -0.3, direction: 'up' },
+    B: { thumb: 0, index: 1, middle: 1, ring: 1, pinky: 1, spread: 0.15, direction: 'up' },
+    C: { thumb: 0.6, index: 0.5, middle: 0.5, ring: 0.5, pinky: 0.5, pinch: 0.7, direction: 'up' },
+    D: { index: 1, middle: 0, ring: 0, pinky: 0, thumbToMiddle: 0.2, direction: 'up' },
+    E: { thumb: 0, index: 0.1, middle: 0.1, ring: 0.1, pinky: 0.1, thumbSlot: 0.45, tipsToThumb: 0.3, direction: 'up' },
+    F: { index: 0.3, middle: 1, ring: 1, pinky: 1, pinch: 0.1, direction: 'up' },
+    G: { thumb: 1, index: 1, middle: 0, ring: 0, pinky: 0, direction: 'side' },
+    H: { thumb: 0, index: 1, middle: 1, ring: 0, pinky: 0, spread: 0.15, direction: 'side' },
+    I: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 1, direction: 'up' },
+    K: { thumb: 0.8, index: 1, middle: 1, ring: 0, pinky: 0, spread: 0.5, thumbSlot: 0.5, direction: 'up' },
+    L: { thumb: 1, index: 1, middle: 0, ring: 0, pinky: 0, direction: 'up' },
+    M: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0, thumbSlot: 0.85, direction: 'up' },
+    N: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0, thumbSlot: 0.55, direction: 'up' },
+    O: { index: 0.4, middle: 0.4, ring: 0.4, pinky: 0.4, pinch: 0.1, tipsToThumb: 0.2, direction: 'up' },
+    P: { thumb: 0.8, index: 1, middle: 1, ring: 0, pinky: 0, spread: 0.5, direction: 'down' },
+    Q: { thumb: 1, index: 1, middle: 0, ring: 0, pinky: 0, direction: 'down' },
+    R: { thumb: 0, index: 1, middle: 1, ring: 0, pinky: 0, crossed: 1, direction: 'up' },
+    S: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0, thumbSlot: 0.3, tipsToThumb: 0.7, direction: 'up' },
+    T: { thumb: 0, index: 0, middle: 0, ring: 0, pinky: 0, thumbSlot: 0.05, direction: 'up' },
+    U: { thumb: 0, index: 1, middle: 1, ring: 0, pinky: 0, spread: 0.15, crossed: 0, direction: 'up' },
+    V: { thumb: 0, index: 1, middle: 1, ring: 0, pinky: 0, spread: 0.6, crossed: 0, direction: 'up' },
+    W: { thumb: 0, index: 1, middle: 1, ring: 1, pinky: 0, direction: 'up' },
+    X: { thumb: 0, index: 0.5, middle: 0, ring: 0, pinky: 0, direction: 'up' },
+    Y: { thumb: 1, index: 0, middle: 0, ring: 0, pinky: 1 }
+  },
+
+  // Tolerance per feature when comparing against a template
+  featureTolerance: {
+    thumb: 0.6,
+    index: 0.5,
+    middle: 0.5,
+    ring: 0.5,
+    pinky: 0.5,
+    spread: 0.3,
+    pinch: 0.4,
+    thumbSlot: 0.3,
+    thumbToMiddle: 0.4,
+    tipsToThumb: 0.4,
+    crossed: 1
+  },
+
+  // Handshapes that start a motion letter
+  motionLetters: {
+    J: { base: 'I', landmark: 20 },
+    Z: { base: 'D', landmark: 8 }
+  },
+
+  // Switch manual alphabet (clears the word in progress)
+  setAlphabet(alphabet) {
+    if (alphabet === this.alphabet) return;
+
+    this.alphabet = alphabet;
+    this.reset();
+  },
+
+  // Process the dominant (and, for two-handed alphabets, passive) hand; returns an emitted letter or null
+  process(hand, timestamp = Date.now(), passiveHand = null) {
+    if (!hand || !hand.landmarks || hand.landmarks.length < 21) {
+      this.handleNoHand(timestamp);
+      return null;
+    }
+
+    const landmarks = hand.landmarks;
+    let result;
+
+    if (this.alphabet === 'bsl') {
+      result = TwoHandedAlphabet.classify(hand, passiveHand);
+    } else {
+      this.recordTrajectory(landmarks, timestamp);
+      result = this.classifyLetter(landmarks, hand.handedness);
+
+      const motion = result ? this.detectMotionLetter(result.letter) : null;
+      if (motion) {
+        result = motion;
+      }
+    }
+
+    this.checkWordPause(timestamp);
+
+    if (!result || result.confidence < this.minConfidence) {
+      this.registerRelease();
+      return null;
+    }
+
+    return this.debounce(result, landmarks[0], timestamp);
+  },
+
+  // === CLASSIFICATION === //
+
+  // Extract handshape features from landmarks
+  extractFeatures(landmarks, handedness = 'Right') {
+    const fingers = GestureClassifier.getFingerStates(landmarks);
+    const orientation = GestureClassifier.getPalmOrientation(landmarks, handedness);
+    const palmSize = GestureClassifier.getPalmSize(landmarks);
+    const dist = (a, b) => Utils.calculateDistance(landmarks[a], landmarks[b]) / palmSize;
+
+    // Project the thumb tip onto the knuckle line (index MCP → pinky MCP)
+    const knuckleStart = landmarks[5];
+    const knuckleEnd = landmarks[17];
+    const kx = knuckleEnd.x - knuckleStart.x;
+    const ky = knuckleEnd.y - knuckleStart.y;
+    const knuckleLength = (kx * kx + ky * ky) || 1;
+    const projectOnKnuckles = point =>
+      ((point.x - knuckleStart.x) * kx + (point.y - knuckleStart.y) * ky) / knuckleLength;
+
+    const indexTip = projectOnKnuckles(landmarks[8]);
+    const middleTip = projectOnKnuckles(landmarks[12]);
+
+    return {
+      thumb: fingers.thumb.extension,
+      index: fingers.index.extension,
+      middle: fingers.middle.extension,
+      ring: fingers.ring.extension,
+      pinky: fingers.pinky.extension,
+      spread: dist(8, 12),
+      pinch: dist(4, 8),
+      thumbSlot: projectOnKnuckles(landmarks[4]),
+      thumbToMiddle: dist(4, 12),
+      tipsToThumb: (dist(4, 8) + dist(4, 12) + dist(4, 16) + dist(4, 20)) / 4,
+      crossed: indexTip > middleTip ? 1 : 0,
+      direction: orientation.direction === 'left' || orientation.direction === 'right'
+        ? 'side'
+        : orientation.direction
+    };
+  },
+
+  // Score a feature set against a letter template
+  scoreTemplate(features, template) {
+    let total = 0;
+    let weight = 0;
+
+    Object.entries(template).forEach(([key, expected]) => {
+      if (key === 'direction') {
+        total += features.direction === expected ? 1 : 0;
+        weight += 1;
+        return;
+      }
+
+      const tolerance = this.featureTolerance[key] || 0.5;
+      total += Math.max(0, 1 - Math.abs(features[key] - expected) / tolerance);
+      weight += 1;
+    });
+
+    return weight > 0 ? total / weight : 0;
+  },
+
+  // Classify a static letter handshape
+  classifyLetter(landmarks, handedness) {
+    const features = this.extractFeatures(landmarks, handedness);
+
+    const ranked = Object.entries(this.letterTemplates)
+      .map(([letter, template]) => ({ letter, confidence: this.scoreTemplate(features, template) }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, runnerUp] = ranked;
+
+    // Penalise ambiguous frames where two letters score almost equally
+    const margin = runnerUp ? best.confidence - runnerUp.confidence : best.confidence;
+    const confidence = best.confidence * Math.min(1, 0.8 + margin * 2);
+
+    return { letter: best.letter, confidence, features };
+  },
+
+  // === MOTION LETTERS (J, Z) === //
+
+  // Keep a short trajectory of the fingertips used by motion letters
+  recordTrajectory(landmarks, timestamp) {
+    this.trajectory.push({
+      t: timestamp,
+      wrist: { ...landmarks[0] },
+      8: { ...landmarks[8] },
+      20: { ...landmarks[20] }
+    });
+
+    while (this.trajectory.length > 0 && timestamp - this.trajectory[0].t > this.trajectoryWindow) {
+      this.trajectory.shift();
+    }
+  },
+
+  // Recognise J (I-hand tracing a hook) and Z (index tracing a zigzag)
+  detectMotionLetter(staticLetter) {
+    const entry = Object.entries(this.motionLetters)
+      .find(([, config]) => config.base === staticLetter);
+    if (!entry || this.trajectory.length < 8) return null;
+
+    const [letter, config] = entry;
+    const points = this.trajectory.map(frame => frame[config.landmark]);
+
+    const matched = letter === 'J' ? this.matchJ(points) : this.matchZ(points);
+    if (!matched) return null;
+
+    this.trajectory = [];
+    return { letter, confidence: matched };
+  },
+
+  // J: tip travels downward, then curves sideways and back up
+  matchJ(points) {
+    const lowest = points.reduce((low, p, i) => (p.y > points[low].y ? i : low), 0);
+    if (lowest === 0 || lowest === points.length - 1) return 0;
+
+    const start = points[0];
+    const bottom = points[lowest];
+    const end = points[points.length - 1];
+
+    const drop = bottom.y - start.y;
+    const hook = Math.abs(end.x - bottom.x);
+    const rise = bottom.y - end.y;
+
+    if (drop < 0.05 || hook < 0.03 || rise < 0.01) return 0;
+    return Math.min(1, 0.6 + drop + hook);
+  },
+
+  // Z: three horizontal strokes alternating direction while moving down
+  matchZ(points) {
+    const strokes = [];
+    let direction = 0;
+    let strokeStart = points[0];
+
+    for (let i = 1; i < points.length; i++) {
+      const dx = points[i].x - points[i - 1].x;
+      if (Math.abs(dx) < 0.002) continue;
+
+      const current = Math.sign(dx);
+      if (direction !== 0 && current !== direction) {
+        strokes.push(points[i - 1].x - strokeStart.x);
+        strokeStart = points[i - 1];
+      }
+      direction = current;
+    }
+    strokes.push(points[points.length - 1].x - strokeStart.x);
+
+    const significant = strokes.filter(length => Math.abs(length) > 0.04);
+    const descent = points[points.length - 1].y - points[0].y;
+
+    if (significant.length < 3 || descent < 0.03) return 0;
+    return Math.min(1, 0.6 + significant.length * 0.1);
+  },
+
+  // === DEBOUNCE & WORDS === //
+
+  // Emit a letter once it is held steady, allowing doubled letters after a bounce
+  debounce(result, wrist, timestamp) {
+    const { letter, confidence } = result;
+
+    if (letter === this.candidate) {
+      this.candidateFrames++;
+      this.candidateConfidence = Math.max(this.candidateConfidence, confidence);
+    } else {
+      this.candidate = letter;
+      this.candidateFrames = 1;
+      this.candidateConfidence = confidence;
+    }
+
+    const isMotionLetter = !!this.motionLetters[letter];
+    if (!isMotionLetter && this.candidateFrames < this.holdFrames) return null;
+
+    if (this.isLocked(letter)) {
+      // Same letter again only counts after a release or a small bounce
+      const moved = this.lockedWrist &&
+        Math.abs(wrist.x - this.lockedWrist.x) > this.bounceDistance;
+      if (this.releaseCount < this.releaseFrames && !moved) return null;
+    }
+
+    return this.emitLetter(letter, this.candidateConfidence, wrist, timestamp);
+  },
+
+  // The last letter, or the handshape a motion letter ends in (I after J, D after Z)
+  isLocked(letter) {
+    const motion = this.motionLetters[this.lockedLetter];
+    return letter === this.lockedLetter || (!!motion && letter === motion.base);
+  },
+
+  // Count frames where no stable letter is shown
+  registerRelease() {
+    this.candidate = null;
+    this.candidateFrames = 0;
+    this.candidateConfidence = 0;
+    this.releaseCount++;
+  },
+
+  // Append a letter to the current word
+  emitLetter(letter, confidence, wrist, timestamp) {
+    const entry = { letter, confidence, timestamp };
+
+    // A motion letter replaces the static handshape it started from
+    const motion = this.motionLetters[letter];
+    const previous = this.currentWord[this.currentWord.length - 1];
+    if (motion && previous && previous.letter === motion.base &&
+        timestamp - previous.timestamp < this.trajectoryWindow) {
+      this.currentWord.pop();
+    }
+
+    this.currentWord.push(entry);
+    this.lockedLetter = letter;
+    this.lockedWrist = { x: wrist.x, y: wrist.y };
+    this.releaseCount = 0;
+    this.lastLetterTime = timestamp;
+
+    if (this.onLetter) {
+      this.onLetter(entry, this.getCurrentWord());
+    }
+
+    return entry;
+  },
+
+  // No hand in view: count as release and check for word boundary
+  handleNoHand(timestamp) {
+    this.trajectory = [];
+    this.registerRelease();
+    this.checkWordPause(timestamp);
+  },
+
+  // A pause after the last letter ends the word
+  checkWordPause(timestamp) {
+    if (this.currentWord.length === 0) return;
+    if (timestamp - this.lastLetterTime < this.wordPause) return;
+
+    this.finishWord();
+  },
+
+  // Close the current word
+  finishWord() {
+    if (this.currentWord.length === 0) return null;
+
+    const letters = this.currentWord;
+    const word = {
+      text: letters.map(l => l.letter).join(''),
+      letters,
+      confidence: letters.reduce((sum, l) => sum + l.confidence, 0) / letters.length
+    };
+
+    this.currentWord = [];
+    this.lockedLetter = null;
+
+    if (this.onWord) {
+      this.onWord(word);
+    }
+
+    return word;
+  },
+
+  // Get the word being spelled
+  getCurrentWord() {
+    return this.currentWord.map(l => l.letter).join('');
+  },
+
+  // Reset recogniser
+  reset() {
+    this.trajectory = [];
+    this.candidate = null;
+    this.candidateFrames = 0;
+    this.candidateConfidence = 0;
+    this.lockedLetter = null;
+    this.lockedWrist = null;
+    this.releaseCount = 0;
+    this.currentWord = [];
+    this.lastLetterTime = 0;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Fingerspelling;
+}
@@ -0,0 +1,201 @@
+// js/gesture-classifier.js - Static Handshape Classifier
+
+const GestureClassifier = {
+  // Landmark indices per finger (MCP/CMC → tip)
+  fingers: {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+  },
+
+  // Joint angle thresholds (degrees)
+  extendedAngle: 160,
+  curledAngle: 100,
+
+  // Swipe detection
+  swipeWindow: 400,
+  swipeDistance: 0.2,
+  motionHistory: {},
+
+  // Gesture labels understood by AvatarAnimator.getHandshape
+  gestures: ['FIST', 'OPEN_HAND', 'POINTING', 'PEACE', 'THUMBS_UP', 'OK', 'SWIPE_LEFT', 'SWIPE_RIGHT'],
+
+  minConfidence: 0.5,
+
+  // Classify a detected hand ({ landmarks, handedness, score })
+  classify(hand, timestamp = Date.now()) {
+    if (!hand || !hand.landmarks || hand.landmarks.length < 21) return null;
+
+    const landmarks = hand.landmarks;
+    const handedness = hand.handedness || 'Right';
+    const fingers = this.getFingerStates(landmarks);
+    const palm = this.getPalmOrientation(landmarks, handedness);
+
+    const scores = this.scoreHandshapes(fingers, landmarks);
+
+    // Motion gestures override the open-hand shape
+    const swipe = this.detectSwipe(handedness, landmarks[0], timestamp);
+    if (swipe && scores.OPEN_HAND > 0.5) {
+      scores[swipe.gesture] = Math.min(1, scores.OPEN_HAND * swipe.strength);
+    }
+
+    const [gesture, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    const confidence = score * (hand.score || 1);
+
+    if (confidence < this.minConfidence) return null;
+
+    return {
+      gesture,
+      confidence,
+      handedness,
+      palmOrientation: palm,
+      fingers: Object.fromEntries(
+        Object.entries(fingers).map(([name, state]) => [name, state.extension])
+      ),
+      timestamp
+    };
+  },
+
+  // === FEATURES === //
+
+  // Angle at p2, treating degenerate vectors as straight
+  jointAngle(p1, p2, p3) {
+    const angle = Utils.calculateAngle(p1, p2, p3);
+    return Number.isNaN(angle) ? 180 : angle;
+  },
+
+  // Palm size used to normalise distances
+  getPalmSize(landmarks) {
+    return Utils.calculateDistance(landmarks[0], landmarks[9]) || 1;
+  },
+
+  // Extension (0 = curled, 1 = straight) for each finger
+  getFingerStates(landmarks) {
+    const wrist = landmarks[0];
+    const states = {};
+
+    Object.entries(this.fingers).forEach(([name, [base, mid, distal, tip]]) => {
+      let angle;
+
+      if (name === 'thumb') {
+        angle = (this.jointAngle(landmarks[base], landmarks[mid], landmarks[distal]) +
+                 this.jointAngle(landmarks[mid], landmarks[distal], landmarks[tip])) / 2;
+      } else {
+        angle = (this.jointAngle(wrist, landmarks[base], landmarks[mid]) +
+                 this.jointAngle(landmarks[base], landmarks[mid], landmarks[distal]) +
+                 this.jointAngle(landmarks[mid], landmarks[distal], landmarks[tip])) / 3;
+      }
+
+      const extension = Math.max(0, Math.min(1,
+        (angle - this.curledAngle) / (this.extendedAngle - this.curledAngle)
+      ));
+
+      states[name] = {
+        angle,
+        extension,
+        extended: extension > 0.7,
+        curled: extension < 0.3
+      };
+    });
+
+    // A straight thumb folded across the palm is not "extended"
+    const palmSize = this.getPalmSize(landmarks);
+    const thumbReach = Utils.calculateDistance(landmarks[4], landmarks[17]) / palmSize;
+    if (thumbReach < 0.9) {
+      states.thumb.extension = Math.min(states.thumb.extension, thumbReach / 0.9 * 0.5);
+      states.thumb.extended = false;
+      states.thumb.curled = true;
+    }
+
+    return states;
+  },
+
+  // Pointing direction of the fingers and which side of the hand faces the camera
+  getPalmOrientation(landmarks, handedness = 'Right') {
+    const wrist = landmarks[0];
+    const middleBase = landmarks[9];
+    const indexBase = landmarks[5];
+    const pinkyBase = landmarks[17];
+
+    const dx = middleBase.x - wrist.x;
+    const dy = middleBase.y - wrist.y;
+
+    let direction;
+    if (Math.abs(dx) > Math.abs(dy)) {
+      direction = dx > 0 ? 'right' : 'left';
+    } else {
+      direction = dy > 0 ? 'down' : 'up';
+    }
+
+    // Winding of wrist → index → pinky flips between palm and back of hand
+    const cross = (indexBase.x - wrist.x) * (pinkyBase.y - wrist.y) -
+                  (indexBase.y - wrist.y) * (pinkyBase.x - wrist.x);
+    const facing = (cross > 0) === (handedness === 'Right') ? 'palm' : 'back';
+
+    return { direction, facing };
+  },
+
+  // === HANDSHAPES === //
+
+  // Score each static handshape from finger states
+  scoreHandshapes(f, landmarks) {
+    const ext = name => f[name].extension;
+    const curl = name => 1 - f[name].extension;
+    const avg = (...values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+    const palmSize = this.getPalmSize(landmarks);
+    const pinch = Utils.calculateDistance(landmarks[4], landmarks[8]) / palmSize;
+    const pinchScore = Math.max(0, Math.min(1, (0.6 - pinch) / 0.4));
+
+    // Thumb pointing upward relative to its own base
+    const thumbRise = (landmarks[2].y - landmarks[4].y) / palmSize;
+    const thumbUpScore = Math.max(0, Math.min(1, thumbRise / 0.6));
+
+    return {
+      FIST: avg(curl('thumb'), curl('index'), curl('middle'), curl('ring'), curl('pinky')),
+      OPEN_HAND: avg(ext('thumb'), ext('index'), ext('middle'), ext('ring'), ext('pinky')),
+      POINTING: avg(ext('index'), curl('middle'), curl('ring'), curl('pinky')),
+      PEACE: avg(ext('index'), ext('middle'), curl('ring'), curl('pinky')),
+      THUMBS_UP: avg(ext('thumb'), thumbUpScore, curl('index'), curl('middle'), curl('ring'), curl('pinky')),
+      OK: avg(pinchScore, pinchScore, ext('middle'), ext('ring'), ext('pinky'))
+    };
+  },
+
+  // === MOTION === //
+
+  // Detect a horizontal swipe of the wrist over a short window
+  detectSwipe(handedness, wrist, timestamp) {
+    const history = this.motionHistory[handedness] || [];
+
+    history.push({ x: wrist.x, y: wrist.y, t: timestamp });
+    while (history.length > 0 && timestamp - history[0].t > this.swipeWindow) {
+      history.shift();
+    }
+    this.motionHistory[handedness] = history;
+
+    if (history.length < 3) return null;
+
+    const dx = history[history.length - 1].x - history[0].x;
+    const dy = history[history.length - 1].y - history[0].y;
+
+    if (Math.abs(dx) < this.swipeDistance || Math.abs(dx) < Math.abs(dy) * 2) return null;
+
+    // Camera image is not mirrored: moving toward the signer's right decreases x
+    return {
+      gesture: dx < 0 ? 'SWIPE_RIGHT' : 'SWIPE_LEFT',
+      strength: Math.min(1, Math.abs(dx) / (this.swipeDistance * 1.5))
+    };
+  },
+
+  // Clear motion history
+  reset() {
+    this.motionHistory = {};
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GestureClassifier;
+}
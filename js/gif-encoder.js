@@ -0,0 +1,188 @@
+// js/gif-encoder.js - Animated GIF (GIF89a) Encoder
+
+const GifEncoder = {
+  // Largest LZW code in a GIF
+  maxCode: 4096,
+
+  // Start a looping GIF with a global palette of up to 256 '#RRGGBB' colours
+  create(width, height, colors) {
+    const palette = colors.slice(0, 256).map(color => this.hexToRgb(color));
+    while (palette.length < 256) palette.push([0, 0, 0]);
+
+    const gif = {
+      width,
+      height,
+      palette,
+      paletteSize: Math.min(colors.length, 256),
+      colorCache: new Map(),
+      chunks: []
+    };
+
+    this.writeHeader(gif);
+    return gif;
+  },
+
+  // Add a frame from canvas ImageData; delay is in milliseconds
+  addFrame(gif, imageData, delay) {
+    const indices = this.mapPixels(gif, imageData.data);
+    const centiseconds = Math.max(2, Math.round(delay / 10));
+
+    // Graphic control extension: no disposal, no transparency
+    this.write(gif, [0x21, 0xF9, 0x04, 0x00, ...this.word(centiseconds), 0x00, 0x00]);
+
+    // Image descriptor covering the whole canvas, using the global palette
+    this.write(gif, [0x2C, ...this.word(0), ...this.word(0), ...this.word(gif.width), ...this.word(gif.height), 0x00]);
+
+    this.write(gif, [8]);
+    this.writeSubBlocks(gif, this.lzwEncode(indices, 8));
+  },
+
+  // Finish the file and return it as a Blob
+  finish(gif) {
+    this.write(gif, [0x3B]);
+    return new Blob(gif.chunks, { type: 'image/gif' });
+  },
+
+  writeHeader(gif) {
+    const header = Array.from('GIF89a', char => char.charCodeAt(0));
+
+    // Logical screen with a 256-colour global colour table
+    this.write(gif, [...header, ...this.word(gif.width), ...this.word(gif.height), 0xF7, 0x00, 0x00]);
+    this.write(gif, gif.palette.flat());
+
+    // NETSCAPE2.0 extension: loop forever
+    const netscape = Array.from('NETSCAPE2.0', char => char.charCodeAt(0));
+    this.write(gif, [0x21, 0xFF, 0x0B, ...netscape, 0x03, 0x01, 0x00, 0x00, 0x00]);
+  },
+
+  write(gif, bytes) {
+    gif.chunks.push(Uint8Array.from(bytes));
+  },
+
+  // Data in sub-blocks of at most 255 bytes, then a terminator
+  writeSubBlocks(gif, data) {
+    const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let offset = 0;
+
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      blocks[offset++] = block.length;
+      blocks.set(block, offset);
+      offset += block.length;
+    }
+
+    blocks[offset] = 0;
+    gif.chunks.push(blocks);
+  },
+
+  // Little-endian 16-bit value
+  word(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+  },
+
+  // Palette index of every RGBA pixel (nearest colour, cached per GIF)
+  mapPixels(gif, data) {
+    const indices = new Uint8Array(data.length / 4);
+
+    for (let i = 0; i < indices.length; i++) {
+      const r = data[i * 4];
+      const g = data[i * 4 + 1];
+      const b = data[i * 4 + 2];
+      const key = (r << 16) | (g << 8) | b;
+
+      let index = gif.colorCache.get(key);
+      if (index === undefined) {
+        index = this.nearestColor(gif, r, g, b);
+        gif.colorCache.set(key, index);
+      }
+      indices[i] = index;
+    }
+
+    return indices;
+  },
+
+  nearestColor(gif, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < gif.paletteSize; i++) {
+      const [pr, pg, pb] = gif.palette[i];
+      const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+        if (distance === 0) break;
+      }
+    }
+
+    return best;
+  },
+
+  // Variable-length LZW compression of palette indices
+  lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = code => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        output.push(buffer & 0xFF);
+        buffer >>= 8;
+        bits -= 8;
+      }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+      const key = (prefix << 8) | indices[i];
+      const code = table.get(key);
+
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+
+      emit(prefix);
+
+      if (nextCode === this.maxCode) {
+        // Table full: start a new one
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+
+      prefix = indices[i];
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) output.push(buffer & 0xFF);
+
+    return Uint8Array.from(output);
+  },
+
+  hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GifEncoder;
+}
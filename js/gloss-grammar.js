@@ -0,0 +1,375 @@
+// js/gloss-grammar.js - Rule-based Gloss → English Rewriter
+
+const GlossGrammar = {
+  // Pronoun indexing (IX-1 = signer, IX-2 = addressee, IX-3 = someone else)
+  pronouns: {
+    'IX-1': { subject: 'I', object: 'me', possessive: 'my', person: 1 },
+    'ME': { subject: 'I', object: 'me', possessive: 'my', person: 1 },
+    'I': { subject: 'I', object: 'me', possessive: 'my', person: 1 },
+    'IX-2': { subject: 'you', object: 'you', possessive: 'your', person: 2 },
+    'YOU': { subject: 'you', object: 'you', possessive: 'your', person: 2 },
+    'IX-3': { subject: 'they', object: 'them', possessive: 'their', person: 3 },
+    'WE': { subject: 'we', object: 'us', possessive: 'our', person: 1 },
+    'THEY': { subject: 'they', object: 'them', possessive: 'their', person: 3 }
+  },
+
+  possessives: {
+    'POSS-1': 'my',
+    'POSS-2': 'your',
+    'POSS-3': 'their'
+  },
+
+  // Time markers open the signed sentence and set the tense
+  timeMarkers: {
+    YESTERDAY: { text: 'yesterday', tense: 'past' },
+    'LAST-WEEK': { text: 'last week', tense: 'past' },
+    'LAST-YEAR': { text: 'last year', tense: 'past' },
+    BEFORE: { text: 'before', tense: 'past' },
+    PAST: { text: '', tense: 'past' },
+    FINISH: { text: '', tense: 'past' },
+    TODAY: { text: 'today', tense: 'present' },
+    NOW: { text: 'now', tense: 'present' },
+    TOMORROW: { text: 'tomorrow', tense: 'future' },
+    'NEXT-WEEK': { text: 'next week', tense: 'future' },
+    'NEXT-YEAR': { text: 'next year', tense: 'future' },
+    LATER: { text: 'later', tense: 'future' },
+    WILL: { text: '', tense: 'future' },
+    FUTURE: { text: '', tense: 'future' }
+  },
+
+  negators: ['NOT', 'DONT', "DON'T", 'NO'],
+
+  whWords: {
+    WHAT: 'what',
+    WHERE: 'where',
+    WHO: 'who',
+    WHEN: 'when',
+    WHY: 'why',
+    HOW: 'how',
+    WHICH: 'which'
+  },
+
+  // Verbs: base form, past form and the preposition taken by a following place
+  verbs: {
+    GO: { base: 'go', past: 'went', to: 'to' },
+    COME: { base: 'come', past: 'came', to: 'to' },
+    HELP: { base: 'help', past: 'helped' },
+    WANT: { base: 'want', past: 'wanted' },
+    LIKE: { base: 'like', past: 'liked' },
+    LOVE: { base: 'love', past: 'loved' },
+    NEED: { base: 'need', past: 'needed' },
+    HAVE: { base: 'have', past: 'had' },
+    SEE: { base: 'see', past: 'saw' },
+    EAT: { base: 'eat', past: 'ate' },
+    DRINK: { base: 'drink', past: 'drank' },
+    KNOW: { base: 'know', past: 'knew' },
+    UNDERSTAND: { base: 'understand', past: 'understood' },
+    LEARN: { base: 'learn', past: 'learned' },
+    WORK: { base: 'work', past: 'worked' },
+    MEET: { base: 'meet', past: 'met' },
+    BUY: { base: 'buy', past: 'bought' },
+    SIGN: { base: 'sign', past: 'signed' },
+    LIVE: { base: 'live', past: 'lived', to: 'in' },
+    STAY: { base: 'stay', past: 'stayed', to: 'at' }
+  },
+
+  // Adjectives take a copula in English ("IX-1 TIRED" → "I am tired")
+  adjectives: ['GOOD', 'BAD', 'HAPPY', 'SAD', 'TIRED', 'SICK', 'READY', 'FINE', 'HUNGRY', 'DEAF', 'HEARING', 'BUSY', 'OKAY'],
+
+  // Nouns that read better with an article, and places used without one
+  nouns: {
+    STORE: { text: 'store', article: true },
+    DOCTOR: { text: 'doctor', article: true },
+    BOOK: { text: 'book', article: true },
+    CAR: { text: 'car', article: true },
+    MOVIE: { text: 'movie', article: true },
+    RESTAURANT: { text: 'restaurant', article: true },
+    FRIEND: { text: 'friend', article: false },
+    SCHOOL: { text: 'school', article: false },
+    HOME: { text: 'home', article: false, bare: true },
+    CLASS: { text: 'class', article: false },
+    FAMILY: { text: 'family', article: false }
+  },
+
+  // Rewrite a signed sentence into English; returns { text, type }
+  toEnglish(signs, type = 'statement') {
+    let tokens = this.collapseRepetition(signs.map(sign => this.toToken(sign)));
+
+    // Time markers
+    let tense = 'present';
+    const timePhrases = [];
+    tokens = tokens.filter(token => {
+      const marker = this.timeMarkers[token.gloss];
+      if (!marker) return true;
+
+      tense = marker.tense;
+      if (marker.text) timePhrases.push(marker.text);
+      return false;
+    });
+
+    const hasVerb = tokens.some(token => this.verbs[token.gloss]);
+    const hasPredicate = hasVerb || tokens.some(token => this.adjectives.includes(token.gloss));
+
+    // Negation: a manual negator, or a head shake over any sign or the sentence
+    let negated = type === 'negation' || tokens.some(token => token.headShake);
+    tokens = tokens.filter(token => {
+      if (!this.negators.includes(token.gloss) || !hasPredicate) return true;
+      negated = true;
+      return false;
+    });
+
+    // WH-signs usually close the signed question; English fronts them
+    let whWord = null;
+    tokens = tokens.filter(token => {
+      if (!this.whWords[token.gloss] || whWord) return true;
+      whWord = this.whWords[token.gloss];
+      return false;
+    });
+
+    if (whWord) type = 'wh-question';
+    else if (negated && type === 'statement') type = 'negation';
+
+    const clause = this.parseClause(tokens);
+    if (!clause) {
+      const words = this.renderNounPhrase(tokens);
+      const negation = negated && tokens.length > 0 ? 'not' : null;
+
+      // A WH-question without a verb takes a copula ("IX-2 NAME WHAT" → "what is your name")
+      if (whWord && tokens.length > 0) {
+        const head = tokens[tokens.length - 1];
+        const [aux, ...rest] = this.copula(head, this.isThirdSingular(head), tense).split(' ');
+        return { text: [whWord, aux, ...words, negation, ...rest, ...timePhrases].filter(Boolean).join(' '), type };
+      }
+
+      return { text: [whWord, negation, ...words, ...timePhrases].filter(Boolean).join(' '), type };
+    }
+
+    const question = whWord !== null || type === 'yes-no-question';
+    const words = [
+      whWord,
+      ...this.renderPredicate(clause, { tense, negated, question }),
+      ...timePhrases
+    ];
+
+    return {
+      text: words.filter(Boolean).join(' '),
+      type
+    };
+  },
+
+  // Normalise a recognised sign into a grammar token
+  toToken(sign) {
+    const fingerspelled = sign.gesture === 'FINGERSPELL';
+    const gloss = fingerspelled
+      ? sign.word
+      : (sign.gloss || sign.word.toUpperCase().replace(/\s+/g, '-'));
+
+    const markers = sign.nonManual || [];
+
+    return {
+      gloss,
+      word: sign.word,
+      fingerspelled,
+      count: sign.repeated ? 2 : 1,
+      topic: Boolean(sign.topic) || markers.includes('topic'),
+      headShake: markers.includes('headShake')
+    };
+  },
+
+  // Reduplicated signs (BOOK BOOK) become a single token with a count
+  collapseRepetition(tokens) {
+    return tokens.reduce((result, token) => {
+      const previous = result[result.length - 1];
+
+      if (previous && previous.gloss === token.gloss && !token.fingerspelled) {
+        previous.count += token.count;
+        previous.headShake = previous.headShake || token.headShake;
+      } else {
+        result.push({ ...token });
+      }
+
+      return result;
+    }, []);
+  },
+
+  // Find subject, predicate and object; undoes topicalisation (STORE IX-1 GO)
+  parseClause(tokens) {
+    let predicateIndex = tokens.findIndex(token => this.verbs[token.gloss]);
+    let isVerb = predicateIndex !== -1;
+
+    if (!isVerb) {
+      predicateIndex = tokens.findIndex(token => this.adjectives.includes(token.gloss));
+      if (predicateIndex <= 0) return null;
+    }
+
+    const before = tokens.slice(0, predicateIndex);
+    const after = tokens.slice(predicateIndex + 1);
+
+    // The subject is the pronoun (or last noun) before the predicate
+    let subjectIndex = before.map(token => Boolean(this.pronouns[token.gloss])).lastIndexOf(true);
+    if (subjectIndex === -1) {
+      subjectIndex = before.map(token => !token.topic).lastIndexOf(true);
+    }
+
+    let subject = subjectIndex !== -1 ? before[subjectIndex] : null;
+    const topics = before.filter((_, i) => i !== subjectIndex);
+    let objects = after.concat(topics);
+
+    // Sentence-final pronoun copy ("GO STORE IX-1") supplies or repeats the subject
+    const last = objects[objects.length - 1];
+    if (last && this.pronouns[last.gloss] && objects.length > 1 &&
+        (!subject || this.pronouns[subject.gloss] === this.pronouns[last.gloss])) {
+      subject = subject || last;
+      objects = objects.slice(0, -1);
+    }
+
+    return {
+      subject,
+      predicate: tokens[predicateIndex],
+      isVerb,
+      objects
+    };
+  },
+
+  // Subject, auxiliary and verb phrase with tense, negation and agreement
+  renderPredicate(clause, { tense, negated, question }) {
+    const subject = clause.subject ? this.renderNoun(clause.subject, 'subject') : null;
+    // A subject WH-word ("WHO HELP IX-2") agrees like a singular noun
+    const thirdSingular = clause.subject ? this.isThirdSingular(clause.subject) : question;
+    const words = [];
+
+    if (!clause.isVerb) {
+      // Copula + adjective
+      const copula = this.copula(clause.subject, thirdSingular, tense);
+
+      const adjective = this.renderWord(clause.predicate);
+      const negation = negated ? 'not' : null;
+
+      if (question && subject) {
+        const [aux, ...rest] = copula.split(' ');
+        words.push(aux, subject, negation, ...rest, adjective);
+      } else {
+        words.push(subject, copula, negation, adjective);
+      }
+    } else {
+      const verb = this.verbs[clause.predicate.gloss];
+      const auxiliary = tense === 'future'
+        ? 'will'
+        : tense === 'past' ? 'did' : (thirdSingular ? 'does' : 'do');
+
+      const needsAuxiliary = negated || (question && subject) || tense === 'future';
+      let verbForm = verb.base;
+
+      if (!needsAuxiliary) {
+        verbForm = tense === 'past' ? verb.past : (thirdSingular ? this.thirdPerson(verb.base) : verb.base);
+      }
+
+      if (question && subject) {
+        words.push(auxiliary, subject, negated ? 'not' : null, verbForm);
+      } else if (needsAuxiliary) {
+        words.push(subject, auxiliary, negated ? 'not' : null, verbForm);
+      } else {
+        words.push(subject, verbForm);
+      }
+
+      // A repeated verb marks habitual or continuing action
+      const repeated = clause.predicate.count > 1;
+
+      clause.objects.forEach((token, i) => {
+        const noun = this.nouns[token.gloss];
+        if (i === 0 && verb.to && !this.pronouns[token.gloss] && !(noun && noun.bare)) {
+          words.push(verb.to);
+        }
+        words.push(this.renderNoun(token, 'object'));
+      });
+
+      if (repeated) {
+        words.push('again and again');
+      }
+
+      return words;
+    }
+
+    clause.objects.forEach(token => words.push(this.renderNoun(token, 'object')));
+    return words;
+  },
+
+  // Form of "be" agreeing with the subject and tense
+  copula(subject, thirdSingular, tense) {
+    if (tense === 'past') return thirdSingular || this.isFirstSingular(subject) ? 'was' : 'were';
+    if (tense === 'future') return 'will be';
+    return this.isFirstSingular(subject) ? 'am' : (thirdSingular ? 'is' : 'are');
+  },
+
+  // Render words outside a clause; an index sign before a noun is possessive (IX-2 NAME → "your name")
+  renderNounPhrase(tokens) {
+    return tokens.map((token, i) => {
+      const pronoun = this.pronouns[token.gloss];
+      if (pronoun && this.isPossessor(token, tokens[i + 1])) return pronoun.possessive;
+
+      return this.renderNoun(token, 'subject', i > 0 && this.isPossessor(tokens[i - 1], token));
+    });
+  },
+
+  // A possessive is followed by the noun it owns rather than another pronoun or negator
+  isPossessor(token, next) {
+    if (!next || this.pronouns[next.gloss] || this.possessives[next.gloss] ||
+        this.whWords[next.gloss] || this.negators.includes(next.gloss)) {
+      return false;
+    }
+    return Boolean(this.pronouns[token.gloss]) || Boolean(this.possessives[token.gloss]);
+  },
+
+  // Render a pronoun, possessive, noun or other word; a possessed noun drops its article
+  renderNoun(token, role, possessed = false) {
+    const pronoun = this.pronouns[token.gloss];
+    if (pronoun) return pronoun[role];
+
+    if (this.possessives[token.gloss]) return this.possessives[token.gloss];
+    if (token.fingerspelled) return token.word;
+
+    const noun = this.nouns[token.gloss];
+    if (noun) {
+      if (token.count > 1) return this.plural(noun.text);
+      return noun.article && !possessed ? `the ${noun.text}` : noun.text;
+    }
+
+    const word = this.renderWord(token);
+    return token.count > 1 && !this.verbs[token.gloss] ? this.plural(word) : word;
+  },
+
+  // Plain English for any gloss
+  renderWord(token) {
+    if (token.fingerspelled) return token.word;
+    return token.word || token.gloss.toLowerCase().replace(/-/g, ' ');
+  },
+
+  isFirstSingular(token) {
+    return Boolean(token) && this.pronouns[token.gloss] && this.pronouns[token.gloss].subject === 'I';
+  },
+
+  // Names and singular nouns take -s in the present tense
+  isThirdSingular(token) {
+    if (!token) return false;
+    if (this.pronouns[token.gloss]) return false;
+    return token.count === 1;
+  },
+
+  thirdPerson(verb) {
+    if (verb === 'have') return 'has';
+    if (/(s|sh|ch|x|o)$/.test(verb)) return verb + 'es';
+    if (/[^aeiou]y$/.test(verb)) return verb.slice(0, -1) + 'ies';
+    return verb + 's';
+  },
+
+  plural(noun) {
+    if (/(s|sh|ch|x)$/.test(noun)) return noun + 'es';
+    if (/[^aeiou]y$/.test(noun)) return noun.slice(0, -1) + 'ies';
+    return noun + 's';
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GlossGrammar;
+}
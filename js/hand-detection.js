@@ -0,0 +1,263 @@
+// js/hand-detection.js - Browser Hand Tracking (MediaPipe Hands)
+
+const HandDetection = {
+  videoElement: null,
+  hands: null,
+  overlayCanvas: null,
+  isInitialized: false,
+  isRunning: false,
+  isProcessing: false,
+  animationFrame: null,
+  lastFrame: null,
+  listeners: {},
+
+  modelUrl: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands',
+  maxNumHands: 2,
+  landmarkCount: 21,
+
+  // Initialize MediaPipe Hands on a video element
+  async init(videoElement) {
+    this.videoElement = videoElement;
+
+    if (this.isInitialized) return true;
+
+    if (typeof Hands === 'undefined') {
+      console.error('MediaPipe Hands not loaded');
+      return false;
+    }
+
+    try {
+      this.hands = new Hands({
+        locateFile: (file) => `${this.modelUrl}/${file}`
+      });
+
+      this.applySettings();
+      this.hands.onResults((results) => this.handleResults(results));
+
+      await this.hands.initialize();
+
+      this.isInitialized = true;
+      console.log('Hand detection initialized');
+      return true;
+    } catch (error) {
+      console.error('Hand detection initialization failed:', error);
+      return false;
+    }
+  },
+
+  // Apply detection settings from SettingsManager
+  applySettings() {
+    if (!this.hands) return;
+
+    const sensitivity = SettingsManager.getHandSensitivity();
+
+    this.hands.setOptions({
+      maxNumHands: this.maxNumHands,
+      modelComplexity: 1,
+      minDetectionConfidence: sensitivity,
+      minTrackingConfidence: sensitivity
+    });
+  },
+
+  // === DETECTION LOOP === //
+
+  // Start tracking
+  start() {
+    if (!this.isInitialized || this.isRunning) return;
+
+    this.createOverlay();
+    this.isRunning = true;
+    this.processFrame();
+
+    console.log('Hand detection started');
+  },
+
+  // Send the current video frame to the model (never overlapping)
+  async processFrame() {
+    if (!this.isRunning) return;
+
+    const video = this.videoElement;
+
+    if (!this.isProcessing && video && !video.paused && !video.ended && video.readyState >= 2) {
+      this.isProcessing = true;
+
+      try {
+        await this.hands.send({ image: video });
+      } catch (error) {
+        console.error('Hand detection frame failed:', error);
+      } finally {
+        this.isProcessing = false;
+      }
+    }
+
+    this.animationFrame = requestAnimationFrame(() => this.processFrame());
+  },
+
+  // Stop tracking
+  stop() {
+    this.isRunning = false;
+
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+
+    this.clearOverlay();
+    console.log('Hand detection stopped');
+  },
+
+  // Convert MediaPipe results into per-frame landmark data
+  handleResults(results) {
+    const sensitivity = SettingsManager.getHandSensitivity();
+    const landmarkSets = results.multiHandLandmarks || [];
+    const handednessSets = results.multiHandedness || [];
+    const worldSets = results.multiHandWorldLandmarks || [];
+
+    const hands = landmarkSets
+      .map((landmarks, i) => {
+        const classification = handednessSets[i] || { label: 'Right', score: 1 };
+
+        return {
+          landmarks: landmarks.map(lm => ({ x: lm.x, y: lm.y, z: lm.z || 0 })),
+          worldLandmarks: worldSets[i] || null,
+          // MediaPipe labels assume a mirrored image; the video is not mirrored
+          handedness: classification.label === 'Left' ? 'Right' : 'Left',
+          score: classification.score
+        };
+      })
+      .filter(hand => hand.score >= sensitivity && hand.landmarks.length === this.landmarkCount);
+
+    const frame = {
+      hands,
+      timestamp: performance.now(),
+      width: this.videoElement ? this.videoElement.videoWidth : 0,
+      height: this.videoElement ? this.videoElement.videoHeight : 0
+    };
+
+    const hadHands = this.lastFrame && this.lastFrame.hands.length > 0;
+    this.lastFrame = frame;
+
+    this.drawOverlay(frame);
+    this.emit('landmarks', frame);
+
+    if (hadHands && hands.length === 0) {
+      this.emit('handsLost', frame);
+    }
+  },
+
+  // === EVENTS === //
+
+  // Subscribe to an event ('landmarks', 'handsLost')
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+
+    return () => this.off(event, callback);
+  },
+
+  // Unsubscribe from an event
+  off(event, callback) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+  },
+
+  // Notify subscribers
+  emit(event, data) {
+    (this.listeners[event] || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Hand detection listener for "${event}" failed:`, error);
+      }
+    });
+  },
+
+  // === OVERLAY === //
+
+  // Create landmark overlay canvas above the video
+  createOverlay() {
+    if (this.overlayCanvas || !this.videoElement) return;
+
+    const video = this.videoElement;
+
+    this.overlayCanvas = document.createElement('canvas');
+    this.overlayCanvas.classList.add('hand-overlay');
+    this.overlayCanvas.width = video.videoWidth;
+    this.overlayCanvas.height = video.videoHeight;
+
+    video.parentElement.style.position = 'relative';
+    video.parentElement.appendChild(this.overlayCanvas);
+  },
+
+  // Draw landmarks when enabled in settings
+  drawOverlay(frame) {
+    if (!this.overlayCanvas) return;
+
+    const canvas = this.overlayCanvas;
+    const ctx = canvas.getContext('2d');
+
+    if (frame.width && (canvas.width !== frame.width || canvas.height !== frame.height)) {
+      canvas.width = frame.width;
+      canvas.height = frame.height;
+    }
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    if (!SettingsManager.shouldShowLandmarks()) return;
+
+    frame.hands.forEach(hand => {
+      const color = hand.handedness === 'Right' ? '#4F46E5' : '#10B981';
+
+      if (typeof drawConnectors !== 'undefined' && typeof HAND_CONNECTIONS !== 'undefined') {
+        drawConnectors(ctx, hand.landmarks, HAND_CONNECTIONS, { color, lineWidth: 3 });
+      }
+
+      if (typeof drawLandmarks !== 'undefined') {
+        drawLandmarks(ctx, hand.landmarks, { color: '#FFFFFF', fillColor: color, lineWidth: 1, radius: 3 });
+      }
+    });
+  },
+
+  // Clear and remove overlay
+  clearOverlay() {
+    if (this.overlayCanvas) {
+      this.overlayCanvas.remove();
+      this.overlayCanvas = null;
+    }
+  },
+
+  // Get latest detected frame
+  getLastFrame() {
+    return this.lastFrame;
+  },
+
+  // Get detection state
+  getState() {
+    return {
+      isInitialized: this.isInitialized,
+      isRunning: this.isRunning,
+      handsDetected: this.lastFrame ? this.lastFrame.hands.length : 0
+    };
+  },
+
+  // Cleanup
+  async cleanup() {
+    this.stop();
+    this.listeners = {};
+    this.lastFrame = null;
+
+    if (this.hands) {
+      await this.hands.close();
+      this.hands = null;
+    }
+
+    this.isInitialized = false;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HandDetection;
+}
@@ -0,0 +1,380 @@
+// js/lexicon-manager.js - Sign Lexicon Loading, Validation and Caching
+//
+// Lexicon files (format "signspeak-lexicon", see data/lexicons/asl-core.json):
+// {
+//   format, version, id, name, language, revision,
+//   signs: [{
+//     gloss, aliases: [english words], handshape, location, movement, orientation,
+//     nonManual: [markers], keyframes: [{ time: 0..1, x, y }],
+//     recognition: { gesture } | { duration, path: [[x, y], ...] } | { duration, circle: { radius, turns } }
+//   }]
+// }
+// Keyframe and path coordinates are in hand-size units relative to the location,
+// from the signer's point of view (+x = dominant side, +y = down).
+
+const LexiconManager = {
+  format: 'signspeak-lexicon',
+  formatVersion: 1,
+  defaultUrl: '/data/lexicons/asl-core.json',
+
+  // Storage key prefix for user imports, so they never replace a bundled lexicon
+  userKeyPrefix: 'user:',
+
+  handshapes: ['FIST', 'OPEN_HAND', 'POINTING', 'PEACE', 'THUMBS_UP', 'OK'],
+  gestures: ['SWIPE_LEFT', 'SWIPE_RIGHT'],
+  locations: [
+    'neutral', 'forehead', 'temple', 'eyes', 'nose', 'cheek', 'mouth', 'chin',
+    'neck', 'shoulder', 'chest', 'stomach', 'non-dominant-hand'
+  ],
+  nonManualMarkers: ['browRaise', 'browFurrow', 'headShake', 'headNod', 'mouthMm', 'mouthOo', 'mouthCha', 'topic'],
+
+  // Loaded lexicons (bundled first, user imports after) and the merged index
+  language: null,
+  lexicons: [],
+  entries: new Map(),
+  aliasIndex: new Map(),
+  isLoaded: false,
+
+  // Load a sign language's bundled lexicon and the user imports for that language
+  async init(url = this.defaultUrl, language = null) {
+    if (!StorageManager.db) {
+      await StorageManager.init();
+    }
+
+    const bundled = await this.loadBundled(url);
+    const imported = (await StorageManager.getAllLexicons())
+      .filter(lexicon => lexicon.source === 'user' && (!language || lexicon.language === language));
+
+    this.language = language;
+    this.lexicons = [bundled, ...imported].filter(Boolean);
+    this.buildIndex();
+    this.isLoaded = true;
+
+    console.log(`Lexicon loaded: ${this.entries.size} signs from ${this.lexicons.length} lexicon(s)`);
+    return this.entries.size;
+  },
+
+  // Fetch a lexicon from /data, falling back to the IndexedDB copy when offline
+  async loadBundled(url) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const lexicon = this.parse(await response.json());
+      const record = { ...lexicon, source: 'bundled', url };
+      await StorageManager.saveLexicon(record);
+      return record;
+    } catch (error) {
+      console.warn('Lexicon fetch failed, using cached copy:', error.message);
+
+      const cached = (await StorageManager.getAllLexicons())
+        .find(lexicon => lexicon.source === 'bundled' && lexicon.url === url);
+
+      if (!cached) {
+        console.error('No cached lexicon available');
+        return null;
+      }
+      return cached;
+    }
+  },
+
+  // Import a lexicon JSON file chosen by the user
+  async importFile(file) {
+    let data;
+
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+    }
+
+    const lexicon = this.parse(data);
+
+    if (!StorageManager.db) {
+      await StorageManager.init();
+    }
+
+    const record = { ...lexicon, id: `${this.userKeyPrefix}${lexicon.id}`, source: 'user', fileName: file.name };
+    await StorageManager.saveLexicon(record);
+
+    // Lexicons for another sign language are kept for when that language is selected
+    if (!this.language || lexicon.language === this.language) {
+      this.lexicons = this.lexicons
+        .filter(l => l.id !== record.id)
+        .concat(record);
+      this.buildIndex();
+    }
+
+    return lexicon;
+  },
+
+  // Remove a user-imported lexicon (bundled ones cannot be removed)
+  async removeLexicon(id) {
+    const lexicon = await StorageManager.getLexicon(id);
+    if (!lexicon || lexicon.source !== 'user') {
+      throw new Error('Only imported lexicons can be removed');
+    }
+
+    await StorageManager.deleteLexicon(id);
+
+    this.lexicons = this.lexicons.filter(lexicon => lexicon.id !== id);
+    this.buildIndex();
+  },
+
+  // Validate raw JSON; throws with every problem found
+  parse(lexicon) {
+    const errors = this.validate(lexicon);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid lexicon:\n${errors.join('\n')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    return lexicon;
+  },
+
+  // Check a lexicon against the format; returns a list of error messages
+  validate(lexicon) {
+    const errors = [];
+
+    if (!lexicon || typeof lexicon !== 'object' || Array.isArray(lexicon)) {
+      return ['Lexicon must be a JSON object'];
+    }
+
+    if (lexicon.format !== this.format) {
+      errors.push(`"format" must be "${this.format}"`);
+    }
+
+    if (!Number.isInteger(lexicon.version)) {
+      errors.push('"version" must be an integer');
+    } else if (lexicon.version > this.formatVersion) {
+      errors.push(`Lexicon version ${lexicon.version} is newer than supported version ${this.formatVersion}`);
+    }
+
+    if (typeof lexicon.id !== 'string' || !/^[a-z0-9-]+$/.test(lexicon.id)) {
+      errors.push('"id" must be a lower-case string (letters, digits and dashes)');
+    }
+
+    if (typeof lexicon.name !== 'string' || !lexicon.name.trim()) {
+      errors.push('"name" is required');
+    }
+
+    if (typeof lexicon.language !== 'string' || !lexicon.language.trim()) {
+      errors.push('"language" is required (e.g. "asl" or "bsl")');
+    }
+
+    if (!Array.isArray(lexicon.signs) || lexicon.signs.length === 0) {
+      errors.push('"signs" must be a non-empty array');
+      return errors;
+    }
+
+    const seen = new Set();
+    lexicon.signs.forEach((sign, i) => {
+      const label = sign && sign.gloss ? `signs[${i}] (${sign.gloss})` : `signs[${i}]`;
+
+      this.validateSign(sign).forEach(message => errors.push(`${label}: ${message}`));
+
+      if (sign && seen.has(sign.gloss)) {
+        errors.push(`${label}: duplicate gloss`);
+      }
+      seen.add(sign && sign.gloss);
+    });
+
+    return errors;
+  },
+
+  // Check one sign entry
+  validateSign(sign) {
+    const errors = [];
+
+    if (!sign || typeof sign !== 'object') return ['must be an object'];
+
+    if (typeof sign.gloss !== 'string' || !/^[A-Z0-9][A-Z0-9-]*$/.test(sign.gloss)) {
+      errors.push('"gloss" must be upper case (letters, digits and dashes)');
+    }
+
+    if (sign.aliases !== undefined &&
+        (!Array.isArray(sign.aliases) || sign.aliases.some(a => typeof a !== 'string' || !a.trim()))) {
+      errors.push('"aliases" must be an array of words');
+    }
+
+    if (!this.isHandshape(sign.handshape)) {
+      errors.push(`unknown handshape "${sign.handshape}" (use ${this.handshapes.join(', ')} or a letter A-Z)`);
+    }
+
+    if (!this.locations.includes(sign.location)) {
+      errors.push(`unknown location "${sign.location}" (use ${this.locations.join(', ')})`);
+    }
+
+    ['movement', 'orientation'].forEach(field => {
+      if (typeof sign[field] !== 'string' || !sign[field].trim()) {
+        errors.push(`"${field}" is required`);
+      }
+    });
+
+    if (sign.nonManual !== undefined) {
+      if (!Array.isArray(sign.nonManual)) {
+        errors.push('"nonManual" must be an array');
+      } else {
+        sign.nonManual
+          .filter(marker => !this.nonManualMarkers.includes(marker))
+          .forEach(marker => errors.push(`unknown non-manual marker "${marker}"`));
+      }
+    }
+
+    if (sign.keyframes !== undefined) {
+      errors.push(...this.validateKeyframes(sign.keyframes));
+    }
+
+    if (sign.recognition !== undefined) {
+      errors.push(...this.validateRecognition(sign.recognition));
+    }
+
+    return errors;
+  },
+
+  validateKeyframes(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length < 2) {
+      return ['"keyframes" must have at least two keyframes'];
+    }
+
+    const errors = [];
+    keyframes.forEach((keyframe, i) => {
+      if (!keyframe || typeof keyframe.time !== 'number' || keyframe.time < 0 || keyframe.time > 1) {
+        errors.push(`keyframes[${i}].time must be a number from 0 to 1`);
+      } else if (i > 0 && keyframes[i - 1] && keyframe.time < keyframes[i - 1].time) {
+        errors.push(`keyframes[${i}] is out of time order`);
+      }
+
+      if (keyframe && (typeof keyframe.x !== 'number' || typeof keyframe.y !== 'number')) {
+        errors.push(`keyframes[${i}] needs numeric x and y`);
+      }
+    });
+
+    return errors;
+  },
+
+  validateRecognition(recognition) {
+    if (!recognition || typeof recognition !== 'object') {
+      return ['"recognition" must be an object'];
+    }
+
+    const errors = [];
+    const { gesture, duration, path, circle } = recognition;
+
+    if (gesture !== undefined && !this.handshapes.includes(gesture) && !this.gestures.includes(gesture)) {
+      errors.push(`recognition.gesture "${gesture}" is not a recognised gesture`);
+    }
+
+    if (path !== undefined || circle !== undefined) {
+      if (typeof duration !== 'number' || duration <= 0) {
+        errors.push('recognition.duration must be a positive number of milliseconds');
+      }
+
+      if (path !== undefined &&
+          (!Array.isArray(path) || path.length < 2 ||
+           path.some(point => !Array.isArray(point) || point.length !== 2 || point.some(v => typeof v !== 'number')))) {
+        errors.push('recognition.path must be at least two [x, y] points');
+      }
+
+      if (circle !== undefined && (!circle || typeof circle.radius !== 'number' || circle.radius <= 0)) {
+        errors.push('recognition.circle needs a positive radius');
+      }
+    } else if (gesture === undefined) {
+      errors.push('recognition needs a gesture, a path or a circle');
+    }
+
+    return errors;
+  },
+
+  isHandshape(handshape) {
+    return this.handshapes.includes(handshape) || /^[A-Z]$/.test(handshape);
+  },
+
+  // === LOOKUP === //
+
+  // Merge all loaded lexicons; later (user) lexicons override earlier entries
+  buildIndex() {
+    this.entries = new Map();
+    this.aliasIndex = new Map();
+
+    this.lexicons.forEach(lexicon => {
+      lexicon.signs.forEach(sign => {
+        this.entries.set(sign.gloss, { ...sign, lexicon: lexicon.id });
+      });
+    });
+
+    this.entries.forEach(entry => {
+      (entry.aliases || []).forEach(alias => {
+        this.aliasIndex.set(alias.toLowerCase(), entry.gloss);
+      });
+    });
+  },
+
+  // Entry for a gloss
+  getEntry(gloss) {
+    return this.entries.get(gloss) || null;
+  },
+
+  // Entry for an English word or phrase
+  findByAlias(word) {
+    const gloss = this.aliasIndex.get(word.toLowerCase());
+    return gloss ? this.getEntry(gloss) : null;
+  },
+
+  // Preferred English word for a gloss
+  getWord(gloss) {
+    const entry = this.getEntry(gloss);
+    if (entry && entry.aliases && entry.aliases.length > 0) return entry.aliases[0];
+    return gloss.toLowerCase().replace(/-/g, ' ');
+  },
+
+  // Sign recognised from a classifier gesture (static handshape or swipe)
+  getStaticSign(gesture) {
+    for (const entry of this.entries.values()) {
+      if (entry.recognition && entry.recognition.gesture === gesture) return entry;
+    }
+    return null;
+  },
+
+  // Movement templates for SignRecognizer
+  getRecognitionEntries() {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.recognition && (entry.recognition.path || entry.recognition.circle))
+      .map(entry => ({
+        gloss: entry.gloss,
+        handshape: entry.handshape,
+        ...entry.recognition
+      }));
+  },
+
+  // Avatar keyframes; derived from the recognition path when not given
+  getKeyframes(gloss) {
+    const entry = this.getEntry(gloss);
+    if (!entry) return null;
+    if (entry.keyframes) return entry.keyframes;
+
+    const path = entry.recognition && entry.recognition.path;
+    if (!path) return null;
+
+    return path.map(([x, y], i) => ({ time: i / (path.length - 1), x, y }));
+  },
+
+  // Summary of loaded lexicons for the settings screen
+  getLexiconList() {
+    return this.lexicons.map(lexicon => ({
+      id: lexicon.id,
+      name: lexicon.name,
+      language: lexicon.language,
+      version: lexicon.version,
+      signCount: lexicon.signs.length,
+      source: lexicon.source || 'bundled'
+    }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LexiconManager;
+}
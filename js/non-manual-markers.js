@@ -0,0 +1,261 @@
+// js/non-manual-markers.js - Facial Grammar (eyebrows, head movement, mouth morphemes)
+
+const NonManualMarkers = {
+  // 68-point landmark indices (face-api faceLandmark68Net)
+  points: {
+    chin: 8,
+    leftBrow: [17, 18, 19, 20, 21],
+    rightBrow: [22, 23, 24, 25, 26],
+    leftBrowInner: 21,
+    rightBrowInner: 22,
+    noseTip: 30,
+    leftEyeOuter: 36,
+    leftEye: [36, 37, 38, 39, 40, 41],
+    rightEyeOuter: 45,
+    rightEye: [42, 43, 44, 45, 46, 47],
+    mouthLeft: 48,
+    mouthRight: 54,
+    upperLipTop: 51,
+    lowerLipBottom: 57,
+    upperLipInner: 62,
+    lowerLipInner: 66
+  },
+
+  // Thresholds, relative to the neutral face
+  browRaiseThreshold: 0.12,
+  browFurrowThreshold: 0.08,
+  shakeAmplitude: 0.06,
+  nodAmplitude: 0.05,
+  minSwings: 2,
+  mouthOpenThreshold: 0.3,
+  mouthRoundThreshold: 0.85,
+  lipPressThreshold: 0.8,
+
+  // Share of a sentence a brow position must cover to mark it
+  sentenceCoverage: 0.5,
+
+  historyDuration: 8000,
+  movementWindow: 1200,
+
+  // Frame history and a running neutral face when not calibrated, seeded from
+  // the median of the first frames so one expressive frame cannot skew it
+  history: [],
+  neutral: null,
+  neutralSamples: [],
+  neutralSeedFrames: 15,
+  neutralRate: 0.02,
+
+  // Optional callback
+  onMarkers: null,
+
+  // Add a face frame (68 landmarks); returns the markers active in this frame
+  addFrame(landmarks, timestamp = performance.now()) {
+    if (!landmarks || landmarks.length < 68) return null;
+
+    const features = this.extractFeatures(landmarks);
+    const neutral = this.getNeutral(features);
+    const frame = { t: timestamp, ...features, markers: [] };
+
+    const brow = (features.browHeight - neutral.browHeight) / neutral.browHeight;
+    const browGap = (features.browGap - neutral.browGap) / neutral.browGap;
+
+    if (brow > this.browRaiseThreshold) {
+      frame.markers.push('browRaise');
+    } else if (brow < -this.browFurrowThreshold || browGap < -this.browFurrowThreshold) {
+      frame.markers.push('browFurrow');
+    }
+
+    const mouth = this.detectMouthMorpheme(features, neutral);
+    if (mouth) {
+      frame.markers.push(mouth);
+    }
+
+    this.history.push(frame);
+    while (this.history.length > 0 && timestamp - this.history[0].t > this.historyDuration) {
+      this.history.shift();
+    }
+
+    // Head movements need a short run of frames
+    const recent = this.getFrames(timestamp - this.movementWindow, timestamp);
+    if (this.countSwings(recent.map(f => f.yaw - neutral.yaw), this.shakeAmplitude) >= this.minSwings) {
+      frame.markers.push('headShake');
+    } else if (this.countSwings(recent.map(f => f.pitch - neutral.pitch), this.nodAmplitude) >= this.minSwings) {
+      frame.markers.push('headNod');
+    }
+
+    // Only a relaxed face updates the running neutral
+    if (frame.markers.length === 0) {
+      this.updateNeutral(features);
+    }
+
+    if (this.onMarkers) {
+      this.onMarkers(frame.markers, frame);
+    }
+
+    return frame.markers;
+  },
+
+  // Geometry of the face, scaled by the distance between the eyes
+  extractFeatures(landmarks) {
+    const p = this.points;
+    const leftEye = this.centroid(landmarks, p.leftEye);
+    const rightEye = this.centroid(landmarks, p.rightEye);
+    const eyeDistance = this.distance(landmarks[p.leftEyeOuter], landmarks[p.rightEyeOuter]) || 1;
+    const eyeMid = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+
+    const leftBrow = this.centroid(landmarks, p.leftBrow);
+    const rightBrow = this.centroid(landmarks, p.rightBrow);
+    const browHeight = ((leftEye.y - leftBrow.y) + (rightEye.y - rightBrow.y)) / 2 / eyeDistance;
+
+    const nose = landmarks[p.noseTip];
+    const chin = landmarks[p.chin];
+
+    return {
+      eyeDistance,
+      browHeight,
+      browGap: this.distance(landmarks[p.leftBrowInner], landmarks[p.rightBrowInner]) / eyeDistance,
+      // Nose offset from the eye line: turns left/right (yaw) and tilts up/down (pitch)
+      yaw: (nose.x - eyeMid.x) / eyeDistance,
+      pitch: (nose.y - eyeMid.y) / Math.max(this.distance(eyeMid, chin), 1e-6),
+      mouthOpen: this.distance(landmarks[p.upperLipInner], landmarks[p.lowerLipInner]) / eyeDistance,
+      mouthWidth: this.distance(landmarks[p.mouthLeft], landmarks[p.mouthRight]) / eyeDistance,
+      lipHeight: this.distance(landmarks[p.upperLipTop], landmarks[p.lowerLipBottom]) / eyeDistance
+    };
+  },
+
+  // 2D distance (face landmarks have no depth)
+  distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  },
+
+  centroid(landmarks, indices) {
+    const sum = indices.reduce((acc, i) => ({ x: acc.x + landmarks[i].x, y: acc.y + landmarks[i].y }), { x: 0, y: 0 });
+    return { x: sum.x / indices.length, y: sum.y / indices.length };
+  },
+
+  // Calibrated neutral face, or a running average of relaxed frames
+  getNeutral(features) {
+    const baseline = SettingsManager.calibrationData.faceBaseline;
+    if (baseline && baseline.browHeight) {
+      return {
+        browHeight: baseline.browHeight,
+        browGap: baseline.browGap || features.browGap,
+        yaw: baseline.yaw || 0,
+        pitch: baseline.pitch || features.pitch,
+        mouthWidth: baseline.mouthWidth || features.mouthWidth,
+        lipHeight: baseline.lipHeight || features.lipHeight
+      };
+    }
+
+    if (this.neutral) return this.neutral;
+
+    this.neutralSamples.push(features);
+    const median = this.getMedianFeatures(this.neutralSamples);
+
+    if (this.neutralSamples.length >= this.neutralSeedFrames) {
+      this.neutral = median;
+      this.neutralSamples = [];
+    }
+    return median;
+  },
+
+  // Per-feature median of a list of feature sets
+  getMedianFeatures(samples) {
+    const median = {};
+
+    Object.keys(samples[0]).forEach(key => {
+      const values = samples.map(sample => sample[key]).sort((a, b) => a - b);
+      const middle = Math.floor(values.length / 2);
+      median[key] = values.length % 2 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+    });
+
+    return median;
+  },
+
+  updateNeutral(features) {
+    if (!this.neutral) return;
+
+    Object.keys(this.neutral).forEach(key => {
+      this.neutral[key] += (features[key] - this.neutral[key]) * this.neutralRate;
+    });
+  },
+
+  // mm (lips pressed), oo (rounded), cha (wide open)
+  detectMouthMorpheme(features, neutral) {
+    if (features.mouthOpen > this.mouthOpenThreshold) return 'mouthCha';
+    if (features.mouthWidth < neutral.mouthWidth * this.mouthRoundThreshold) return 'mouthOo';
+    if (features.mouthOpen < 0.02 && features.lipHeight < neutral.lipHeight * this.lipPressThreshold) return 'mouthMm';
+    return null;
+  },
+
+  // Count direction changes larger than the amplitude (a shake or nod has several)
+  countSwings(values, amplitude) {
+    let swings = 0;
+    let direction = 0;
+    let extreme = values[0];
+
+    for (let i = 1; i < values.length; i++) {
+      const delta = values[i] - extreme;
+
+      if (direction >= 0 && delta > 0) {
+        extreme = values[i];
+        direction = 1;
+      } else if (direction <= 0 && delta < 0) {
+        extreme = values[i];
+        direction = -1;
+      } else if (Math.abs(delta) > amplitude) {
+        swings++;
+        direction = -direction;
+        extreme = values[i];
+      }
+    }
+
+    return swings;
+  },
+
+  // Frames between two timestamps
+  getFrames(startTime, endTime) {
+    return this.history.filter(frame => frame.t >= startTime && frame.t <= endTime);
+  },
+
+  // Markers present over a time window, e.g. the duration of one sign
+  getMarkers(startTime, endTime, coverage = 0.3) {
+    const frames = this.getFrames(startTime, endTime);
+    if (frames.length === 0) return [];
+
+    const counts = {};
+    frames.forEach(frame => {
+      frame.markers.forEach(marker => {
+        counts[marker] = (counts[marker] || 0) + 1;
+      });
+    });
+
+    // Head movements are brief; any occurrence counts
+    return Object.entries(counts)
+      .filter(([marker, count]) =>
+        marker === 'headShake' || marker === 'headNod' || count / frames.length >= coverage)
+      .map(([marker]) => marker);
+  },
+
+  // Sentence type signalled by the face: head shake, raised or furrowed brows
+  classifySentence(startTime, endTime) {
+    const markers = this.getMarkers(startTime, endTime, this.sentenceCoverage);
+
+    if (markers.includes('headShake')) return 'negation';
+    if (markers.includes('browFurrow')) return 'wh-question';
+    if (markers.includes('browRaise')) return 'yes-no-question';
+    return null;
+  },
+
+  // Reset history and the running neutral face (re-seeded for the new session)
+  reset() {
+    this.history = [];
+    this.neutral = null;
+    this.neutralSamples = [];
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NonManualMarkers;
+}
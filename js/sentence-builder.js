@@ -0,0 +1,125 @@
+// js/sentence-builder.js - Assemble recognised signs into sentences
+
+const SentenceBuilder = {
+  sentences: [],
+  words: [],
+  pendingSentences: [],
+
+  whWords: ['what', 'where', 'who', 'when', 'why', 'how', 'which'],
+
+  // Add a recognised sign ({ word, gloss, ... }) to the current sentence
+  addWord(sign) {
+    if (!sign || !sign.word) return;
+    this.words.push(sign);
+  },
+
+  // Close the current sentence; returns it or null if empty
+  endSentence(type = null) {
+    if (this.words.length === 0) return null;
+
+    const signs = this.words;
+    this.words = [];
+
+    // Rewrite sign order and grammar into English
+    const english = GlossGrammar.toEnglish(signs, type || this.detectSentenceType(signs));
+
+    return {
+      text: this.formatSentence([english.text], english.type),
+      gloss: this.getGloss(signs),
+      type: english.type,
+      signs
+    };
+  },
+
+  // Raw gloss for a list of signs (fingerspelled words as fs-WORD)
+  getGloss(signs) {
+    return signs
+      .map(s => {
+        if (s.gesture === 'FINGERSPELL') return `fs-${s.word.toUpperCase()}`;
+        return s.gloss || s.word.toUpperCase().replace(/\s+/g, '-');
+      })
+      .join(' ');
+  },
+
+  // Guess sentence type from the words alone
+  detectSentenceType(signs) {
+    const words = signs.map(s => s.word.toLowerCase());
+    const first = words[0];
+    const last = words[words.length - 1];
+
+    if (this.whWords.includes(first) || this.whWords.includes(last)) return 'wh-question';
+    return 'statement';
+  },
+
+  // Capitalise and punctuate a list of words
+  formatSentence(words, type = 'statement') {
+    const text = words
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/\bi\b/g, 'I');
+
+    if (!text) return '';
+
+    const punctuation = type === 'statement' || type === 'negation' ? '.' : '?';
+    return text.charAt(0).toUpperCase() + text.slice(1) + punctuation;
+  },
+
+  // Keep a sentence in the output
+  commit(sentence) {
+    if (!sentence) return null;
+
+    this.sentences.push(sentence);
+    this.pendingSentences = this.pendingSentences.filter(s => s !== sentence);
+    return sentence;
+  },
+
+  // Hold a sentence until the user confirms it
+  addPending(sentence) {
+    this.pendingSentences.push(sentence);
+    return sentence;
+  },
+
+  // Remove and return sentences awaiting confirmation
+  takePending() {
+    const sentences = this.pendingSentences;
+    this.pendingSentences = [];
+    return sentences;
+  },
+
+  // Drop sentences awaiting confirmation
+  discardPending() {
+    return this.takePending();
+  },
+
+  // Unpunctuated words of the sentence in progress
+  getDraftText() {
+    return this.words.map(s => s.word).join(' ');
+  },
+
+  // Full output: committed sentences, pending sentences, then the draft
+  getText() {
+    const parts = this.sentences.map(s => s.text);
+
+    this.pendingSentences.forEach(s => parts.push(s.text));
+
+    const draft = this.getDraftText();
+    if (draft) {
+      parts.push(draft);
+    }
+
+    return parts.join(' ');
+  },
+
+  // Reset builder
+  reset() {
+    this.sentences = [];
+    this.words = [];
+    this.pendingSentences = [];
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SentenceBuilder;
+}
@@ -15,6 +15,8 @@ const SettingsManager = {
     // Camera Settings
     cameraResolution: 'hd',
     preferredCamera: 'user',
+    preferredCameraId: null,
+    cameraDevices: {}, // per deviceId: { resolution, facingMode }
     
     // Avatar Settings
     avatarAnimationSpeed: 1.0,
@@ -23,12 +25,18 @@ const SettingsManager = {
     soundEnabled: true,
     vibrationEnabled: true,
     
+    // Speech
+    speechVoice: null,
+    speechRate: 1.0,
+    speechPitch: 1.0,
+    
     // Translation Settings
     autoTranslate: true,
     saveHistory: true,
     
     // Language
     language: 'en',
+    signLanguage: 'asl',
     
     // Performance
     performanceMode: 'balanced',
@@ -38,6 +46,7 @@ const SettingsManager = {
     largeText: false,
     reduceMotion: false,
     screenReader: false,
+    avatarPresentation: 'animated',
     
     // Privacy
     allowAnalytics: false,
@@ -75,6 +84,10 @@ const SettingsManager = {
         ...this.defaultSettings,
         ...this.settings
       };
+
+      // Restore saved calibration baselines
+      this.calibrationData.handBaseline = this.settings.handCalibration || null;
+      this.calibrationData.faceBaseline = this.settings.faceCalibration || null;
       
       console.log('Settings loaded successfully');
       return this.settings;
@@ -104,7 +117,7 @@ const SettingsManager = {
       }
       
       // Apply accessibility if changed
-      if (updates.highContrast || updates.largeText || updates.reduceMotion) {
+      if (['highContrast', 'largeText', 'reduceMotion'].some(key => key in updates)) {
         this.applyAccessibilitySettings();
       }
       
@@ -210,21 +223,24 @@ const SettingsManager = {
 
   // Calibrate face detection
   async calibrateFace(landmarks) {
-    if (!landmarks || landmarks.length === 0) {
+    if (!landmarks || landmarks.length < 68) {
       Utils.showToast('No face detected. Please look at the camera.', 'warning');
       return false;
     }
 
     try {
-      const nose = landmarks[1];
-      const leftEye = landmarks[33];
-      const rightEye = landmarks[263];
-      const chin = landmarks[152];
-      
+      // 68-point landmarks: nose tip 30, outer eye corners 36/45, chin 8
+      const nose = landmarks[30];
+      const leftEye = landmarks[36];
+      const rightEye = landmarks[45];
+      const chin = landmarks[8];
+
       this.calibrationData.faceBaseline = {
-        nosePosition: { x: nose.x, y: nose.y, z: nose.z },
+        nosePosition: { x: nose.x, y: nose.y, z: nose.z || 0 },
         eyeDistance: this.calculateDistance(leftEye, rightEye),
         faceHeight: this.calculateDistance(nose, chin),
+        // Neutral brow, head and mouth geometry for facial grammar
+        ...NonManualMarkers.extractFeatures(landmarks),
         timestamp: Date.now()
       };
 
@@ -272,9 +288,10 @@ const SettingsManager = {
 
   // === CAMERA SETTINGS === //
 
-  // Get camera resolution preset
-  getCameraResolution() {
-    const resolution = this.getSetting('cameraResolution') || 'hd';
+  // Get camera resolution preset (a camera's own choice wins over the global one)
+  getCameraResolution(deviceId = null) {
+    const resolution = (deviceId && this.getCameraPreferences(deviceId).resolution) ||
+      this.getSetting('cameraResolution') || 'hd';
     
     const resolutions = {
       sd: { width: 640, height: 480, label: 'SD (640×480)' },
@@ -282,7 +299,22 @@ const SettingsManager = {
       fhd: { width: 1920, height: 1080, label: 'Full HD (1920×1080)' }
     };
 
-    return resolutions[resolution] || resolutions.hd;
+    return { key: resolutions[resolution] ? resolution : 'hd', ...(resolutions[resolution] || resolutions.hd) };
+  },
+
+  // Saved resolution / facing mode of one camera
+  getCameraPreferences(deviceId) {
+    const devices = this.getSetting('cameraDevices') || {};
+    return devices[deviceId] || {};
+  },
+
+  async saveCameraPreferences(deviceId, preferences) {
+    const devices = this.getSetting('cameraDevices') || {};
+
+    await this.updateSetting('cameraDevices', {
+      ...devices,
+      [deviceId]: { ...devices[deviceId], ...preferences }
+    });
   },
 
   // === DETECTION SETTINGS === //
@@ -321,6 +353,17 @@ const SettingsManager = {
     return this.getSetting('vibrationEnabled') !== false;
   },
 
+  // === SPEECH SETTINGS === //
+
+  // Get text-to-speech voice, rate and pitch
+  getSpeechSettings() {
+    return {
+      voice: this.getSetting('speechVoice') || null,
+      rate: parseFloat(this.getSetting('speechRate')) || 1.0,
+      pitch: parseFloat(this.getSetting('speechPitch')) || 1.0
+    };
+  },
+
   // === TRANSLATION SETTINGS === //
 
   // Is auto-translate enabled
@@ -340,6 +383,11 @@ const SettingsManager = {
     return this.getSetting('language') || 'en';
   },
 
+  // Get sign language variant ('asl', 'bsl')
+  getSignLanguage() {
+    return this.getSetting('signLanguage') || 'asl';
+  },
+
   // === PERFORMANCE MODE === //
 
   // Get performance mode
@@ -386,13 +434,18 @@ const SettingsManager = {
 
   // === ACCESSIBILITY === //
 
-  // Get accessibility settings
+  // Get accessibility settings (reduced motion also follows the system preference)
   getAccessibilitySettings() {
+    const systemReduceMotion = typeof window !== 'undefined' && window.matchMedia
+      ? window.matchMedia('(prefers-reduced-motion: reduce)').matches
+      : false;
+
     return {
       highContrast: this.getSetting('highContrast') || false,
       largeText: this.getSetting('largeText') || false,
-      reduceMotion: this.getSetting('reduceMotion') || false,
-      screenReader: this.getSetting('screenReader') || false
+      reduceMotion: this.getSetting('reduceMotion') || systemReduceMotion,
+      screenReader: this.getSetting('screenReader') || false,
+      avatarPresentation: this.getSetting('avatarPresentation') || 'animated'
     };
   },
 
@@ -560,6 +613,14 @@ const SettingsManager = {
       errors.push('Animation speed must be between 0.5 and 2.0');
     }
 
+    if (settings.speechRate < 0.5 || settings.speechRate > 2.0) {
+      errors.push('Speech rate must be between 0.5 and 2.0');
+    }
+
+    if (settings.speechPitch < 0.5 || settings.speechPitch > 2.0) {
+      errors.push('Speech pitch must be between 0.5 and 2.0');
+    }
+
     // Validate enum values
     const validThemes = ['light', 'dark'];
     if (!validThemes.includes(settings.theme)) {
@@ -571,6 +632,11 @@ const SettingsManager = {
       errors.push('Invalid camera resolution');
     }
 
+    const validSignLanguages = typeof SignLanguages !== 'undefined' ? Object.keys(SignLanguages.variants) : ['asl', 'bsl'];
+    if (!validSignLanguages.includes(settings.signLanguage)) {
+      errors.push('Invalid sign language');
+    }
+
     const validPerformanceModes = ['quality', 'balanced', 'performance'];
     if (!validPerformanceModes.includes(settings.performanceMode)) {
       errors.push('Invalid performance mode');
@@ -0,0 +1,66 @@
+// js/sign-languages.js - Sign Language Variants (lexicon, alphabet and grammar per language)
+
+const SignLanguages = {
+  defaultVariant: 'asl',
+
+  // Supported variants. Others (e.g. ISL) need their own lexicon, manual
+  // alphabet templates and grammar rules before they can be listed here.
+  variants: {
+    asl: {
+      id: 'asl',
+      name: 'American Sign Language',
+      shortName: 'ASL',
+      lexicon: '/data/lexicons/asl-core.json',
+      alphabet: 'asl',
+      twoHandedAlphabet: false,
+      grammar: {
+        // Negation follows the verb: IX-1 UNDERSTAND NOT
+        negation: 'after-verb',
+        topicFirst: false,
+        pastMarker: 'FINISH',
+        futureMarker: 'WILL'
+      }
+    },
+
+    bsl: {
+      id: 'bsl',
+      name: 'British Sign Language',
+      shortName: 'BSL',
+      lexicon: '/data/lexicons/bsl-core.json',
+      alphabet: 'bsl',
+      twoHandedAlphabet: true,
+      grammar: {
+        // Topic-comment order with sentence-final negation: SHOP IX-1 GO NOT
+        negation: 'final',
+        topicFirst: true,
+        pastMarker: 'FINISH',
+        futureMarker: 'WILL'
+      }
+    }
+  },
+
+  // Get a variant by id (falls back to the default)
+  get(id) {
+    return this.variants[id] || this.variants[this.defaultVariant];
+  },
+
+  // Variant selected in settings
+  getCurrent() {
+    return this.get(SettingsManager.getSignLanguage());
+  },
+
+  // Grammar rules of the selected variant
+  getGrammar() {
+    return this.getCurrent().grammar;
+  },
+
+  // Variants for settings dropdowns
+  getList() {
+    return Object.values(this.variants).map(({ id, name, shortName }) => ({ id, name, shortName }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignLanguages;
+}
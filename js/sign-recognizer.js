@@ -0,0 +1,208 @@
+// js/sign-recognizer.js - Dynamic (Motion) Sign Recognition
+
+const SignRecognizer = {
+  // Matching
+  resampleLength: 24,
+  minConfidence: 0.6,
+  distanceScale: 0.35,
+  handshapeWeight: 0.5,
+
+  templates: [],
+  initialized: false,
+
+  // Finger extension vectors for handshape labels
+  handshapes: {
+    FIST: [0, 0, 0, 0, 0],
+    OPEN_HAND: [1, 1, 1, 1, 1],
+    POINTING: [0, 1, 0, 0, 0],
+    PEACE: [0, 1, 1, 0, 0],
+    THUMBS_UP: [1, 0, 0, 0, 0],
+    OK: [0.5, 0.3, 1, 1, 1]
+  },
+
+  // Initialize recognizer with lexicon entries. Paths are wrist waypoints in hand-size
+  // units from the signer's point of view (+x = signer's dominant side, +y = down).
+  init(lexicon = LexiconManager.getRecognitionEntries()) {
+    this.initialized = true;
+    this.templates = lexicon
+      .map(entry => this.buildTemplate(entry))
+      .filter(Boolean);
+
+    console.log(`Sign recognizer loaded ${this.templates.length} templates`);
+    return this.templates.length;
+  },
+
+  // Build a resampled template from waypoints or a circle
+  buildTemplate(entry) {
+    let points = entry.path;
+
+    if (entry.circle) {
+      const { radius, turns = 1 } = entry.circle;
+      const steps = 32;
+      points = Array.from({ length: steps + 1 }, (_, i) => {
+        const angle = (i / steps) * turns * Math.PI * 2;
+        return [radius * Math.sin(angle), radius * (1 - Math.cos(angle))];
+      });
+    }
+
+    if (!points || points.length < 2) {
+      console.warn(`Template ${entry.gloss} has no trajectory`);
+      return null;
+    }
+
+    const handshape = this.handshapes[entry.handshape] || null;
+    const trajectory = this.resample(points.map(([x, y]) => ({ x, y })), this.resampleLength);
+
+    return {
+      gloss: entry.gloss,
+      duration: entry.duration || 1000,
+      sequence: trajectory.map(p => ({ x: p.x, y: p.y, shape: handshape }))
+    };
+  },
+
+  // === FRAMES === //
+
+  // Normalise a hand frame against the user's calibration baseline
+  normalizeFrame(hand, timestamp) {
+    const landmarks = hand.landmarks;
+    const wrist = landmarks[0];
+    const baseline = SettingsManager.calibrationData.handBaseline;
+
+    // Without calibration, approximate wrist → fingertip length from the palm
+    const scale = baseline && baseline.handSize
+      ? baseline.handSize
+      : GestureClassifier.getPalmSize(landmarks) * 2;
+    const origin = baseline && baseline.wristPosition ? baseline.wristPosition : { x: 0, y: 0 };
+
+    // Camera image is not mirrored: flip x so +x is the signer's dominant side
+    const mirror = hand.handedness === 'Left' ? 1 : -1;
+    const fingers = GestureClassifier.getFingerStates(landmarks);
+
+    return {
+      t: timestamp,
+      x: mirror * (wrist.x - origin.x) / scale,
+      y: (wrist.y - origin.y) / scale,
+      shape: ['thumb', 'index', 'middle', 'ring', 'pinky'].map(name => fingers[name].extension),
+      handedness: hand.handedness
+    };
+  },
+
+  // === MATCHING === //
+
+  // Recognise a segmented sign from its normalised frames
+  recognize(frames) {
+    // Load templates once; after an empty or failed load there is nothing to match
+    if (!this.initialized) {
+      this.initialized = true;
+      try {
+        this.init();
+      } catch (error) {
+        console.error('Sign recognizer failed to load templates:', error);
+      }
+    }
+
+    if (this.templates.length === 0 || !frames || frames.length < 4) return null;
+
+    const sequence = this.toSequence(frames);
+    const ranked = this.templates
+      .map(template => ({
+        gloss: template.gloss,
+        confidence: Math.exp(-this.dtw(sequence, template.sequence) / this.distanceScale)
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+
+    if (ranked.length === 0 || ranked[0].confidence < this.minConfidence) return null;
+
+    return {
+      ...ranked[0],
+      startTime: frames[0].t,
+      endTime: frames[frames.length - 1].t,
+      handedness: frames[frames.length - 1].handedness
+    };
+  },
+
+  // Translate a window to start at the origin and resample it
+  toSequence(frames) {
+    const origin = frames[0];
+    const relative = frames.map(frame => ({
+      x: frame.x - origin.x,
+      y: frame.y - origin.y,
+      shape: frame.shape
+    }));
+
+    return this.resample(relative, this.resampleLength);
+  },
+
+  // Resample a polyline to a fixed number of evenly spaced points
+  resample(points, count) {
+    if (points.length === 1) return Array(count).fill(points[0]);
+
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+
+    const total = cumulative[cumulative.length - 1];
+    if (total === 0) return Array(count).fill(points[0]);
+
+    const result = [];
+    let segment = 1;
+
+    for (let i = 0; i < count; i++) {
+      const target = (i / (count - 1)) * total;
+      while (segment < points.length - 1 && cumulative[segment] < target) segment++;
+
+      const a = points[segment - 1];
+      const b = points[segment];
+      const span = cumulative[segment] - cumulative[segment - 1] || 1;
+      const ratio = Math.max(0, Math.min(1, (target - cumulative[segment - 1]) / span));
+
+      result.push({
+        x: a.x + (b.x - a.x) * ratio,
+        y: a.y + (b.y - a.y) * ratio,
+        shape: ratio < 0.5 ? a.shape : b.shape
+      });
+    }
+
+    return result;
+  },
+
+  // Dynamic time warping distance between two sequences
+  dtw(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const band = Math.max(2, Math.floor(Math.max(n, m) * 0.25));
+    const cost = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(Infinity));
+    cost[0][0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+      const from = Math.max(1, i - band);
+      const to = Math.min(m, i + band);
+
+      for (let j = from; j <= to; j++) {
+        const d = this.frameDistance(a[i - 1], b[j - 1]);
+        cost[i][j] = d + Math.min(cost[i - 1][j], cost[i][j - 1], cost[i - 1][j - 1]);
+      }
+    }
+
+    return cost[n][m] / (n + m);
+  },
+
+  // Distance between two trajectory samples, including handshape
+  frameDistance(p, q) {
+    const position = Math.hypot(p.x - q.x, p.y - q.y);
+    if (!p.shape || !q.shape) return position;
+
+    let shape = 0;
+    for (let i = 0; i < p.shape.length; i++) {
+      shape += Math.abs(p.shape[i] - q.shape[i]);
+    }
+
+    return position + this.handshapeWeight * (shape / p.shape.length);
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignRecognizer;
+}
@@ -0,0 +1,198 @@
+// js/sign-segmenter.js - Sign Segmentation (where one sign ends and the next begins)
+
+const SignSegmenter = {
+  // Motion thresholds in hand-size units per second
+  motionSpeed: 1.2,
+  holdSpeed: 0.5,
+
+  // Timing (ms)
+  holdDuration: 250,
+  staticHoldDuration: 450,
+  sentencePause: 1500,
+  maxSegmentDuration: 3000,
+
+  // Wrist below this line (normalised image y) counts as hands down
+  restLine: 0.9,
+
+  // Segmenter state
+  frames: [],
+  hasMotion: false,
+  holdStart: null,
+  lastFrame: null,
+  lastStaticGesture: null,
+  lastActiveTime: 0,
+  sentenceOpen: false,
+
+  // Optional callbacks
+  onSegment: null,
+  onSentenceBreak: null,
+
+  // Add a hand frame; returns a closed segment or null
+  addFrame(hand, timestamp = performance.now()) {
+    if (!hand || !hand.landmarks || this.isAtRest(hand)) {
+      return this.handleRest(timestamp);
+    }
+
+    const frame = SignRecognizer.normalizeFrame(hand, timestamp);
+    const classification = GestureClassifier.classify(hand, timestamp);
+
+    frame.gesture = classification ? classification.gesture : null;
+    frame.confidence = classification ? classification.confidence : 0;
+    frame.speed = this.getSpeed(frame);
+
+    this.lastFrame = frame;
+    this.lastActiveTime = timestamp;
+    this.sentenceOpen = true;
+
+    return this.trackMotion(frame);
+  },
+
+  // Hands lowered out of the signing space
+  isAtRest(hand) {
+    return hand.landmarks[0].y > this.restLine;
+  },
+
+  // Wrist speed relative to the previous frame
+  getSpeed(frame) {
+    const previous = this.lastFrame;
+    if (!previous || frame.t <= previous.t) return 0;
+
+    const distance = Math.hypot(frame.x - previous.x, frame.y - previous.y);
+    return distance / ((frame.t - previous.t) / 1000);
+  },
+
+  // Split the stream on holds following motion, or on steady static handshapes
+  trackMotion(frame) {
+    this.frames.push(frame);
+
+    if (frame.speed > this.motionSpeed) {
+      this.hasMotion = true;
+      this.holdStart = null;
+      this.lastStaticGesture = null;
+    } else if (frame.speed < this.holdSpeed) {
+      if (this.holdStart === null) {
+        this.holdStart = frame.t;
+      }
+    } else {
+      this.holdStart = null;
+    }
+
+    const held = this.holdStart !== null ? frame.t - this.holdStart : 0;
+    const duration = frame.t - this.frames[0].t;
+
+    // Movement has come to rest: the sign ends where the hold started
+    if (this.hasMotion && held >= this.holdDuration) {
+      return this.closeSegment('hold', this.holdStart);
+    }
+
+    // A handshape held without movement is a static sign (emitted once)
+    if (!this.hasMotion && held >= this.staticHoldDuration) {
+      if (frame.gesture && frame.gesture !== this.lastStaticGesture) {
+        this.lastStaticGesture = frame.gesture;
+        return this.closeSegment('static', frame.t);
+      }
+      this.frames = this.frames.filter(f => frame.t - f.t <= this.staticHoldDuration);
+      return null;
+    }
+
+    if (duration > this.maxSegmentDuration) {
+      return this.closeSegment('timeout', frame.t);
+    }
+
+    return null;
+  },
+
+  // No hand in signing space: close any open sign and detect sentence pauses
+  handleRest(timestamp) {
+    this.lastFrame = null;
+    this.holdStart = null;
+    this.lastStaticGesture = null;
+
+    const segment = this.frames.length > 0 && this.hasMotion
+      ? this.closeSegment('rest', timestamp)
+      : null;
+
+    this.frames = [];
+
+    if (this.sentenceOpen && timestamp - this.lastActiveTime >= this.sentencePause) {
+      this.sentenceOpen = false;
+
+      if (this.onSentenceBreak) {
+        this.onSentenceBreak({ timestamp });
+      }
+    }
+
+    return segment;
+  },
+
+  // Emit the frames up to `endTime` as one sign
+  closeSegment(reason, endTime) {
+    const frames = this.frames.filter(f => f.t <= endTime);
+    const remaining = this.frames.filter(f => f.t >= endTime);
+
+    this.frames = reason === 'hold' ? remaining : [];
+    this.hasMotion = false;
+    this.holdStart = reason === 'hold' && remaining.length > 0 ? remaining[0].t : null;
+
+    // The final handshape of a movement sign is not a new static sign
+    if (reason === 'hold' && remaining.length > 0) {
+      this.lastStaticGesture = remaining[remaining.length - 1].gesture;
+    }
+
+    if (frames.length === 0) return null;
+
+    const segment = {
+      frames,
+      startTime: frames[0].t,
+      endTime: frames[frames.length - 1].t,
+      hasMotion: reason !== 'static',
+      reason
+    };
+
+    if (this.onSegment) {
+      this.onSegment(segment);
+    }
+
+    return segment;
+  },
+
+  // Majority handshape over a segment, weighted by confidence
+  getDominantGesture(segment) {
+    const votes = {};
+    let handedness = 'Right';
+
+    segment.frames.forEach(frame => {
+      if (!frame.gesture) return;
+      votes[frame.gesture] = (votes[frame.gesture] || 0) + frame.confidence;
+      handedness = frame.handedness || handedness;
+    });
+
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) return null;
+
+    const total = Object.values(votes).reduce((a, b) => a + b, 0);
+    const [gesture, weight] = ranked[0];
+
+    return {
+      gesture,
+      confidence: weight / Math.max(total, segment.frames.length * 0.5),
+      handedness
+    };
+  },
+
+  // Reset segmenter
+  reset() {
+    this.frames = [];
+    this.hasMotion = false;
+    this.holdStart = null;
+    this.lastFrame = null;
+    this.lastStaticGesture = null;
+    this.lastActiveTime = 0;
+    this.sentenceOpen = false;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SignSegmenter;
+}
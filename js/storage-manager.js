@@ -2,7 +2,7 @@
 
 const StorageManager = {
   dbName: 'SignSpeakDB',
-  version: 1,
+  version: 3,
   db: null,
 
   // Initialize database
@@ -55,6 +55,18 @@ const StorageManager = {
           faceStore.createIndex('userId', 'userId', { unique: true });
         }
 
+        // Sign lexicons store (bundled and user-imported)
+        if (!this.db.objectStoreNames.contains('lexicons')) {
+          const lexiconStore = this.db.createObjectStore('lexicons', { keyPath: 'id' });
+          lexiconStore.createIndex('source', 'source', { unique: false });
+        }
+
+        // Rendered avatars (SVG and PNG) keyed by user, config hash and size
+        if (!this.db.objectStoreNames.contains('avatarRenders')) {
+          const renderStore = this.db.createObjectStore('avatarRenders', { keyPath: 'key' });
+          renderStore.createIndex('userId', 'userId', { unique: false });
+        }
+
         console.log('Database setup complete');
       };
     });
@@ -123,13 +135,14 @@ const StorageManager = {
   },
 
   // Avatar operations
-  async saveAvatar(userId, avatarConfig) {
+  async saveAvatar(userId, avatarConfig, presets = []) {
     const transaction = this.db.transaction(['avatars'], 'readwrite');
     const store = transaction.objectStore('avatars');
 
     const avatar = {
       userId,
       config: avatarConfig,
+      presets,
       updatedAt: Date.now()
     };
 
@@ -151,6 +164,50 @@ const StorageManager = {
     });
   },
 
+  // Avatar render cache operations
+  async saveAvatarRender(render) {
+    const transaction = this.db.transaction(['avatarRenders'], 'readwrite');
+    const store = transaction.objectStore('avatarRenders');
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(render);
+      request.onsuccess = () => resolve(render);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async getAvatarRender(key) {
+    const transaction = this.db.transaction(['avatarRenders'], 'readonly');
+    const store = transaction.objectStore('avatarRenders');
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  // Delete a user's renders, except those of the config hash to keep
+  async deleteAvatarRenders(userId, keepHash = null) {
+    const transaction = this.db.transaction(['avatarRenders'], 'readwrite');
+    const store = transaction.objectStore('avatarRenders');
+    const index = store.index('userId');
+
+    return new Promise((resolve, reject) => {
+      const request = index.openCursor(userId);
+      request.onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+          if (cursor.value.hash !== keepHash) cursor.delete();
+          cursor.continue();
+        } else {
+          resolve(true);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   // Translation history operations
   async saveTranslation(userId, translationData) {
     const transaction = this.db.transaction(['translations'], 'readwrite');
@@ -161,6 +218,9 @@ const StorageManager = {
       type: translationData.type, // 'sign-to-text' or 'text-to-sign'
       input: translationData.input,
       output: translationData.output,
+      gloss: translationData.gloss || null,
+      signLanguage: translationData.signLanguage || 'asl',
+      signs: translationData.signs || [],
       mood: translationData.mood || 'neutral',
       timestamp: Date.now()
     };
@@ -305,9 +365,59 @@ const StorageManager = {
     });
   },
 
+  // Lexicon operations
+  async saveLexicon(lexicon) {
+    const transaction = this.db.transaction(['lexicons'], 'readwrite');
+    const store = transaction.objectStore('lexicons');
+
+    const record = {
+      ...lexicon,
+      updatedAt: Date.now()
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async getLexicon(id) {
+    const transaction = this.db.transaction(['lexicons'], 'readonly');
+    const store = transaction.objectStore('lexicons');
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async getAllLexicons() {
+    const transaction = this.db.transaction(['lexicons'], 'readonly');
+    const store = transaction.objectStore('lexicons');
+
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  async deleteLexicon(id) {
+    const transaction = this.db.transaction(['lexicons'], 'readwrite');
+    const store = transaction.objectStore('lexicons');
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
   // Clear all data
   async clearAllData() {
-    const stores = ['users', 'avatars', 'translations', 'settings', 'faceEncodings'];
+    const stores = ['users', 'avatars', 'avatarRenders', 'translations', 'settings', 'faceEncodings', 'lexicons'];
     
     for (const storeName of stores) {
       const transaction = this.db.transaction([storeName], 'readwrite');
@@ -341,7 +451,7 @@ const StorageManager = {
   // Import data
   async importData(data) {
     if (data.user) await this.saveUser(data.user);
-    if (data.avatar) await this.saveAvatar(data.user.id, data.avatar.config);
+    if (data.avatar) await this.saveAvatar(data.user.id, data.avatar.config, data.avatar.presets);
     if (data.settings) await this.saveSettings(data.user.id, data.settings);
     
     if (data.translations && Array.isArray(data.translations)) {
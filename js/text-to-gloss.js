@@ -0,0 +1,340 @@
+// js/text-to-gloss.js - English Text → Sign Gloss Converter
+
+const TextToGloss = {
+  articles: ['a', 'an', 'the'],
+  copulas: ['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being'],
+  auxiliaries: ['do', 'does', 'did', 'will', 'shall', 'would'],
+
+  // Function words with no sign of their own (direction is shown by the movement)
+  fillers: ['to', 'of', 'at', 'and'],
+
+  contractions: {
+    "don't": 'do not',
+    "doesn't": 'does not',
+    "didn't": 'did not',
+    "can't": 'can not',
+    "won't": 'will not',
+    "isn't": 'is not',
+    "aren't": 'are not',
+    "wasn't": 'was not',
+    "i'm": 'i am',
+    "you're": 'you are',
+    "we're": 'we are',
+    "they're": 'they are',
+    "it's": 'it is',
+    "i'll": 'i will',
+    "you'll": 'you will',
+    "i've": 'i have'
+  },
+
+  // Pronouns become index (IX) and possessive (POSS) glosses
+  pronouns: {
+    i: 'IX-1', me: 'IX-1', myself: 'IX-1',
+    you: 'IX-2', yourself: 'IX-2',
+    he: 'IX-3', him: 'IX-3', she: 'IX-3', her: 'IX-3', it: 'IX-3', they: 'IX-3', them: 'IX-3',
+    we: 'WE', us: 'WE',
+    my: 'POSS-1', mine: 'POSS-1',
+    your: 'POSS-2', yours: 'POSS-2',
+    his: 'POSS-3', their: 'POSS-3', its: 'POSS-3'
+  },
+
+  negations: ['not', 'no', 'never'],
+
+  // Words that nod the head through their sentence
+  affirmations: ['yes', 'yeah', 'sure', 'definitely', 'certainly', 'absolutely', 'okay', 'ok'],
+
+  // Words that set the sentence's facial expression (AvatarAnimator moods)
+  sentimentWords: {
+    happy: ['happy', 'glad', 'love', 'enjoy', 'great', 'good', 'nice', 'fun', 'wonderful',
+      'beautiful', 'excited', 'thank', 'thanks', 'welcome', 'congratulations', 'hello', 'hi', 'friend', 'best'],
+    sad: ['sad', 'sorry', 'miss', 'lonely', 'cry', 'tired', 'sick', 'hurt', 'pain', 'bad', 'lost', 'die',
+      'died', 'unfortunately', 'worried'],
+    angry: ['angry', 'mad', 'hate', 'annoyed', 'furious', 'terrible', 'awful', 'worst'],
+    surprised: ['wow', 'really', 'surprise', 'surprised', 'amazing', 'unbelievable', 'suddenly', 'shocked']
+  },
+
+  // Time phrases handled by the grammar (sign words and synonyms come from lexicon aliases)
+  aliases: {
+    'last week': 'LAST-WEEK',
+    'next week': 'NEXT-WEEK',
+    'last year': 'LAST-YEAR',
+    'next year': 'NEXT-YEAR'
+  },
+
+  // Convert English text into a sign sequence for AvatarAnimator.animateSignSequence.
+  // options.mood is the expression for sentences without sentiment words
+  // (e.g. the mood last seen on the camera)
+  convert(text, options = {}) {
+    return this.splitSentences(text)
+      .flatMap(sentence => this.convertSentence(sentence, options));
+  },
+
+  // Gloss string for a converted sequence (fingerspelled words collapse to fs-WORD)
+  toGlossString(signs) {
+    return signs
+      .filter(sign => !sign.letter || sign.letterIndex === 0)
+      .map(sign => sign.gloss)
+      .join(' ');
+  },
+
+  // Split text into sentences, keeping the closing punctuation
+  splitSentences(text) {
+    return (text.match(/[^.!?]+[.!?]*/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  },
+
+  // Lower-case words with contractions expanded
+  tokenize(sentence) {
+    return sentence
+      .toLowerCase()
+      .replace(/[’‘]/g, "'")
+      .replace(/[^a-z0-9\s']/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap(word => (this.contractions[word] || word.replace(/'s$/, '')).split(' '));
+  },
+
+  // One English sentence → gloss signs in sign order
+  convertSentence(sentence, options = {}) {
+    const isQuestion = sentence.trim().endsWith('?');
+    const isExclamation = sentence.trim().endsWith('!');
+    const words = this.tokenize(sentence);
+
+    let tense = 'present';
+    let negated = false;
+    const timeSigns = [];
+    const whSigns = [];
+    let signs = [];
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+
+      // Two-word phrases first (THANK-YOU, LAST-WEEK, ...)
+      const phrase = `${word} ${words[i + 1]}`;
+      const phraseGloss = this.lookupAlias(phrase);
+
+      if (phraseGloss) {
+        i++;
+        const target = GlossGrammar.timeMarkers[phraseGloss] ? timeSigns : signs;
+        target.push(this.createSign(phraseGloss, phrase));
+        continue;
+      }
+
+      if (this.articles.includes(word) || this.fillers.includes(word)) continue;
+
+      // Copulas and auxiliaries carry tense only
+      if (this.copulas.includes(word) || this.auxiliaries.includes(word)) {
+        if (['was', 'were', 'did'].includes(word)) tense = 'past';
+        if (['will', 'shall'].includes(word)) tense = 'future';
+        continue;
+      }
+
+      if (this.negations.includes(word)) {
+        negated = true;
+        continue;
+      }
+
+      if (this.pronouns[word]) {
+        signs.push(this.createSign(this.pronouns[word], word));
+        continue;
+      }
+
+      const upper = word.toUpperCase();
+
+      if (GlossGrammar.whWords[upper]) {
+        whSigns.push(this.createSign(upper, word));
+        continue;
+      }
+
+      if (GlossGrammar.timeMarkers[upper]) {
+        timeSigns.push(this.createSign(upper, word));
+        continue;
+      }
+
+      const alias = this.lookupAlias(word);
+      if (alias) {
+        signs.push(this.createSign(alias, word));
+        continue;
+      }
+
+      const lemma = this.lemmatize(word);
+      if (lemma.tense) tense = lemma.tense;
+
+      const sign = this.createSign(lemma.gloss, word);
+      signs.push(sign);
+
+      // Plurals are shown by repeating the sign
+      if (lemma.plural && !sign.fingerspelled) {
+        signs.push({ ...sign, repeated: true });
+      }
+    }
+
+    const grammar = SignLanguages.getGrammar();
+
+    // Topic-comment languages sign the object first
+    if (grammar.topicFirst) {
+      signs = this.topicalize(signs);
+    }
+
+    // Mark tense when the sentence has no explicit time sign
+    if (timeSigns.length === 0) {
+      if (tense === 'past') signs.push(this.createSign(grammar.pastMarker, 'finish'));
+      if (tense === 'future') timeSigns.push(this.createSign(grammar.futureMarker, 'will'));
+    }
+
+    // Negation (with a head shake) follows the verb or closes the sentence
+    if (negated) {
+      const verbIndex = signs
+        .map(sign => this.isVerb(sign))
+        .lastIndexOf(true);
+      const notSign = this.createSign('NOT', 'not');
+      const position = grammar.negation === 'final' || verbIndex === -1 ? signs.length : verbIndex + 1;
+      signs.splice(position, 0, notSign);
+    }
+
+    // Time first, WH-signs last
+    const ordered = [...timeSigns, ...signs, ...whSigns];
+
+    // Facial grammar over the whole sentence
+    const nonManual = [];
+    if (whSigns.length > 0) nonManual.push('browFurrow');
+    else if (isQuestion) nonManual.push('browRaise');
+    if (negated) nonManual.push('headShake');
+    else if (words.some(word => this.affirmations.includes(word))) nonManual.push('headNod');
+
+    const sentenceType = whSigns.length > 0 ? 'wh-question'
+      : isQuestion ? 'question'
+      : isExclamation ? 'exclamation'
+      : 'statement';
+    const mood = this.getSentiment(words, { negated, isExclamation }) || options.mood || 'neutral';
+
+    return ordered.flatMap(sign => {
+      const { lexicalNonManual = [], ...rest } = sign;
+      const markers = [...new Set([...nonManual, ...lexicalNonManual])];
+      return this.expandSign({ ...rest, nonManual: markers, mood, sentenceType });
+    });
+  },
+
+  // Mood of a sentence from its sentiment words, or null when it has none.
+  // Negation turns happy into sad and cancels sad or angry ("not bad").
+  getSentiment(words, { negated = false, isExclamation = false } = {}) {
+    const scores = Object.entries(this.sentimentWords).map(([mood, list]) => ({
+      mood,
+      score: words.filter(word => list.includes(word) || list.includes(this.lemmatize(word).gloss.toLowerCase())).length
+    }));
+    const best = scores.reduce((top, entry) => (entry.score > top.score ? entry : top));
+
+    if (best.score === 0) return isExclamation ? 'surprised' : null;
+    if (!negated) return best.mood;
+    return best.mood === 'happy' ? 'sad' : best.mood === 'surprised' ? 'surprised' : 'neutral';
+  },
+
+  // Move a noun object in front of the subject (SHOP IX-1 GO)
+  topicalize(signs) {
+    const verbIndex = signs.findIndex(sign => this.isVerb(sign));
+    if (verbIndex <= 0) return signs;
+
+    const objects = signs.slice(verbIndex + 1);
+    if (objects.length === 0 || objects.some(sign => GlossGrammar.pronouns[sign.gloss])) return signs;
+
+    return [...objects, ...signs.slice(0, verbIndex + 1)];
+  },
+
+  isVerb(sign) {
+    return Boolean(GlossGrammar.verbs[sign.gloss.replace(/^fs-/, '')]);
+  },
+
+  // Base form of a word, with tense and plural hints
+  lemmatize(word) {
+    const upper = word.toUpperCase();
+    if (this.hasSign(upper)) return { gloss: upper };
+
+    // Irregular past tenses from the grammar's verb table
+    const irregular = Object.entries(GlossGrammar.verbs).find(([, verb]) => verb.past === word);
+    if (irregular) return { gloss: irregular[0], tense: 'past' };
+
+    const candidates = [
+      { pattern: /ies$/, replace: 'y', plural: true },
+      { pattern: /ied$/, replace: 'y', tense: 'past' },
+      { pattern: /(ss|sh|ch|x|o)es$/, replace: '$1', plural: true },
+      { pattern: /([^s])s$/, replace: '$1', plural: true },
+      { pattern: /(.)\1ed$/, replace: '$1', tense: 'past' },
+      { pattern: /ed$/, replace: 'e', tense: 'past' },
+      { pattern: /ed$/, replace: '', tense: 'past' },
+      { pattern: /(.)\1ing$/, replace: '$1' },
+      { pattern: /ing$/, replace: 'e' },
+      { pattern: /ing$/, replace: '' }
+    ];
+
+    for (const { pattern, replace, ...hints } of candidates) {
+      if (!pattern.test(word)) continue;
+
+      const base = word.replace(pattern, replace).toUpperCase();
+      if (this.hasSign(base) || GlossGrammar.verbs[base] || GlossGrammar.nouns[base]) {
+        // Third-person -s on a verb is not a plural
+        const plural = hints.plural && !GlossGrammar.verbs[base];
+        return { gloss: base, tense: hints.tense, plural };
+      }
+    }
+
+    return { gloss: upper };
+  },
+
+  // Gloss for an English word or phrase
+  lookupAlias(text) {
+    const entry = LexiconManager.findByAlias(text);
+    return entry ? entry.gloss : (this.aliases[text] || null);
+  },
+
+  // Whether the lexicon has a sign for a gloss
+  hasSign(gloss) {
+    return Boolean(LexiconManager.getEntry(gloss));
+  },
+
+  // Build a sign for a gloss; unknown words are fingerspelled
+  createSign(gloss, word) {
+    const entry = LexiconManager.getEntry(gloss);
+
+    if (entry) {
+      return {
+        gloss,
+        word,
+        gesture: entry.handshape,
+        handedness: 'Right',
+        location: entry.location,
+        keyframes: LexiconManager.getKeyframes(gloss),
+        lexicalNonManual: entry.nonManual || []
+      };
+    }
+
+    return {
+      gloss: `fs-${gloss.replace(/[^A-Z0-9]/g, '')}`,
+      word,
+      gesture: 'FINGERSPELL',
+      handedness: 'Right',
+      fingerspelled: true
+    };
+  },
+
+  // Fingerspelled words play one letter at a time
+  expandSign(sign) {
+    if (!sign.fingerspelled) return [sign];
+
+    const { alphabet, twoHandedAlphabet } = SignLanguages.getCurrent();
+    const letters = sign.gloss.replace(/^fs-/, '').split('');
+
+    return letters.map((letter, letterIndex) => ({
+      ...sign,
+      letter,
+      letterIndex,
+      alphabet,
+      twoHanded: twoHandedAlphabet
+    }));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextToGloss;
+}
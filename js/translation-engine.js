@@ -0,0 +1,485 @@
+// js/translation-engine.js - Bi-directional Translation Engine
+
+const TranslationEngine = {
+  currentUserId: null,
+  currentMood: 'neutral',
+  signLanguage: 'asl',
+  recognitionMode: 'signs',
+  outputText: '',
+  minSignConfidence: 0.55,
+
+  // Speech synthesis
+  voices: [],
+  isSpeaking: false,
+
+  // Optional callbacks for UI
+  onTextUpdate: null,
+  onSignRecognized: null,
+  onFingerspellUpdate: null,
+  onSentencePending: null,
+
+  // Initialize engine
+  async init(userId) {
+    this.currentUserId = userId;
+
+    await this.setSignLanguage(SettingsManager.getSignLanguage());
+    this.loadVoices();
+
+    Fingerspelling.onLetter = () => this.handleFingerspelledLetter();
+    Fingerspelling.onWord = (word) => this.addFingerspelledWord(word);
+    SignSegmenter.onSentenceBreak = () => this.finishSentence();
+
+    console.log('Translation engine initialized');
+    return true;
+  },
+
+  // Switch sign language: lexicon, manual alphabet and grammar
+  async setSignLanguage(variantId) {
+    const variant = SignLanguages.get(variantId);
+    this.signLanguage = variant.id;
+
+    // Signs for recognition and avatar playback come from the variant's lexicon
+    try {
+      await LexiconManager.init(variant.lexicon, variant.id);
+    } catch (error) {
+      console.error('Lexicon loading failed:', error);
+      Utils.showToast('Sign lexicon could not be loaded', 'error');
+    }
+
+    Fingerspelling.setAlphabet(variant.alphabet);
+    SignRecognizer.init();
+    this.reset();
+
+    console.log('Sign language:', variant.name);
+    return variant;
+  },
+
+  // Reset sign-to-text state
+  reset() {
+    this.outputText = '';
+
+    GestureClassifier.reset();
+    Fingerspelling.reset();
+    SignSegmenter.reset();
+    SentenceBuilder.reset();
+    NonManualMarkers.reset();
+  },
+
+  // Save the sentence in progress, then clear the output; sentences already
+  // awaiting confirmation are dropped
+  async clear() {
+    await this.finishSentence(true);
+    SentenceBuilder.discardPending();
+    this.reset();
+    this.notifyTextUpdate();
+  },
+
+  // Switch between sign ('signs') and fingerspelling ('fingerspelling') recognition
+  setRecognitionMode(mode) {
+    if (mode === this.recognitionMode) return;
+
+    if (this.recognitionMode === 'fingerspelling') {
+      Fingerspelling.finishWord();
+      Fingerspelling.reset();
+    }
+
+    this.recognitionMode = mode;
+    SignSegmenter.reset();
+
+    console.log('Recognition mode:', mode);
+  },
+
+  // Track the signer's mood (from CameraHandler)
+  setMood(mood) {
+    this.currentMood = mood || 'neutral';
+  },
+
+  // === SIGN TO TEXT === //
+
+  // Process a frame of hand landmarks
+  processLandmarks(hands, timestamp = performance.now()) {
+    const { dominant: hand, passive } = this.splitHands(hands);
+
+    if (!hand) {
+      GestureClassifier.reset();
+    }
+
+    // The segmenter also tracks rest pauses, which end sentences in both modes
+    const segment = SignSegmenter.addFrame(hand, timestamp);
+
+    if (this.recognitionMode === 'fingerspelling') {
+      return Fingerspelling.process(hand, timestamp, passive);
+    }
+
+    return segment ? this.handleSegment(segment) : null;
+  },
+
+  // Dominant (right, or only) hand and the passive hand
+  splitHands(hands) {
+    if (!hands || hands.length === 0) return { dominant: null, passive: null };
+    if (hands.length === 1) return { dominant: hands[0], passive: null };
+
+    const dominant = hands.find(h => h.handedness === 'Right') || hands[0];
+    return { dominant, passive: hands.find(h => h !== dominant) || null };
+  },
+
+  // Recognise one segmented sign
+  handleSegment(segment) {
+    if (segment.hasMotion) {
+      // Movement signs are matched against the lexicon by SignRecognizer
+      const gloss = SignRecognizer.recognize(segment.frames);
+      if (gloss) {
+        return this.addGloss(gloss);
+      }
+    }
+
+    const dominant = SignSegmenter.getDominantGesture(segment);
+    if (!dominant || dominant.confidence < this.minSignConfidence) return null;
+
+    // Unmatched movement only counts when the classifier saw a swipe
+    if (segment.hasMotion && !dominant.gesture.startsWith('SWIPE')) return null;
+
+    return this.addSign({
+      ...dominant,
+      startTime: segment.startTime,
+      endTime: segment.endTime
+    });
+  },
+
+  // Append a recognised static handshape to the sentence
+  addSign(result) {
+    const entry = LexiconManager.getStaticSign(result.gesture);
+    if (!entry) return null;
+
+    return this.appendSign({
+      gesture: result.gesture,
+      gloss: entry.gloss,
+      word: LexiconManager.getWord(entry.gloss),
+      confidence: result.confidence || 1,
+      handedness: result.handedness || 'Right',
+      startTime: result.startTime,
+      endTime: result.endTime,
+      timestamp: Date.now()
+    });
+  },
+
+  // Append a recognised movement sign (gloss) to the sentence
+  addGloss(result) {
+    return this.appendSign({
+      gesture: null,
+      gloss: result.gloss,
+      word: LexiconManager.getWord(result.gloss),
+      confidence: result.confidence,
+      handedness: result.handedness || 'Right',
+      startTime: result.startTime,
+      endTime: result.endTime,
+      timestamp: Date.now()
+    });
+  },
+
+  // Stream a newly spelled letter into the output
+  handleFingerspelledLetter() {
+    if (this.onFingerspellUpdate) {
+      this.onFingerspellUpdate(Fingerspelling.currentWord);
+    }
+
+    this.notifyTextUpdate();
+  },
+
+  // Append a completed fingerspelled word to the sentence
+  addFingerspelledWord(word) {
+    const text = word.text.charAt(0) + word.text.slice(1).toLowerCase();
+
+    if (this.onFingerspellUpdate) {
+      this.onFingerspellUpdate(word.letters);
+    }
+
+    return this.appendSign({
+      gesture: 'FINGERSPELL',
+      word: text,
+      letters: word.letters.map(({ letter, confidence }) => ({ letter, confidence })),
+      confidence: word.confidence,
+      handedness: 'Right',
+      startTime: word.letters[0].timestamp,
+      endTime: word.letters[word.letters.length - 1].timestamp,
+      timestamp: Date.now()
+    });
+  },
+
+  // Add a sign to the sentence in progress
+  appendSign(sign) {
+    // Facial grammar that accompanied the sign (head shake, raised brows, ...)
+    if (sign.startTime !== undefined) {
+      sign.nonManual = NonManualMarkers.getMarkers(sign.startTime, sign.endTime);
+    }
+
+    SentenceBuilder.addWord(sign);
+
+    if (this.onSignRecognized) {
+      this.onSignRecognized(sign);
+    }
+
+    this.notifyTextUpdate();
+    return sign;
+  },
+
+  // Close the sentence in progress (on a rest pause or when clearing); it is
+  // committed straight away with auto-translate on, or when commit is set
+  async finishSentence(commit = SettingsManager.isAutoTranslateEnabled()) {
+    if (this.recognitionMode === 'fingerspelling') {
+      Fingerspelling.finishWord();
+    }
+
+    const sentence = SentenceBuilder.endSentence(this.detectSentenceType());
+    if (!sentence) return null;
+
+    if (commit) {
+      return this.commitSentence(sentence);
+    }
+
+    // Wait for the user to confirm before committing
+    SentenceBuilder.addPending(sentence);
+    this.notifyTextUpdate();
+
+    if (this.onSentencePending) {
+      this.onSentencePending(SentenceBuilder.pendingSentences);
+    }
+
+    return sentence;
+  },
+
+  // Sentence type from facial grammar; also marks raised-brow topics
+  detectSentenceType() {
+    const signs = SentenceBuilder.words;
+    if (signs.length === 0) return null;
+
+    const startTime = signs[0].startTime !== undefined ? signs[0].startTime : performance.now() - 5000;
+    const type = NonManualMarkers.classifySentence(startTime, performance.now());
+
+    // Raised brows on the opening signs only (not the whole sentence) mark a topic
+    if (type !== 'yes-no-question') {
+      for (const sign of signs.slice(0, -1)) {
+        if (!sign.nonManual || !sign.nonManual.includes('browRaise')) break;
+        sign.topic = true;
+      }
+    }
+
+    return type;
+  },
+
+  // Keep a sentence in the output and save it to history
+  async commitSentence(sentence) {
+    SentenceBuilder.commit(sentence);
+    this.notifyTextUpdate();
+
+    await this.saveTranslation({
+      type: 'sign-to-text',
+      input: sentence.gloss,
+      output: sentence.text,
+      gloss: sentence.gloss,
+      signs: sentence.signs.map(({ word, timestamp, ...sign }) => sign)
+    });
+
+    return sentence;
+  },
+
+  // Commit sentences awaiting confirmation
+  async confirmPending() {
+    const sentences = SentenceBuilder.takePending();
+
+    for (const sentence of sentences) {
+      await this.commitSentence(sentence);
+    }
+
+    return sentences;
+  },
+
+  // Drop sentences awaiting confirmation
+  discardPending() {
+    const sentences = SentenceBuilder.discardPending();
+    this.notifyTextUpdate();
+    return sentences;
+  },
+
+  // Text shown in the output, including a word still being spelled
+  getDisplayText() {
+    const text = SentenceBuilder.getText();
+    const spelling = this.recognitionMode === 'fingerspelling'
+      ? Fingerspelling.getCurrentWord()
+      : '';
+
+    if (!spelling) return text;
+    return text ? `${text} ${spelling}` : spelling;
+  },
+
+  // Notify UI of output changes
+  notifyTextUpdate() {
+    this.outputText = this.getDisplayText();
+
+    if (this.onTextUpdate) {
+      this.onTextUpdate(this.outputText);
+    }
+  },
+
+  // === TEXT TO SIGN === //
+
+  // Convert text into a sign sequence for AvatarAnimator; the signer's last
+  // detected mood colours sentences that have no sentiment words
+  textToSigns(text) {
+    return TextToGloss.convert(text, { mood: this.currentMood });
+  },
+
+  // Translate text and persist the result
+  async translateText(text) {
+    if (!text || !text.trim()) return [];
+
+    const signs = this.textToSigns(text);
+    const gloss = TextToGloss.toGlossString(signs);
+
+    await this.saveTranslation({
+      type: 'text-to-sign',
+      input: text.trim(),
+      output: gloss,
+      gloss,
+      signs
+    });
+
+    return signs;
+  },
+
+  // === HISTORY === //
+
+  // Save translation through StorageManager
+  async saveTranslation(translationData) {
+    if (!this.currentUserId || !SettingsManager.shouldSaveHistory()) return null;
+
+    try {
+      if (!StorageManager.db) {
+        await StorageManager.init();
+      }
+
+      return await StorageManager.saveTranslation(this.currentUserId, {
+        mood: this.currentMood,
+        signLanguage: this.signLanguage,
+        ...translationData
+      });
+    } catch (error) {
+      console.error('Failed to save translation:', error);
+      return null;
+    }
+  },
+
+  // === TEXT TO SPEECH === //
+
+  // Check speech synthesis support
+  isSpeechSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window;
+  },
+
+  // Load available voices (populated asynchronously by some browsers)
+  loadVoices() {
+    if (!this.isSpeechSupported()) return [];
+
+    this.voices = window.speechSynthesis.getVoices();
+
+    if (this.voices.length === 0) {
+      window.speechSynthesis.addEventListener('voiceschanged', () => {
+        this.voices = window.speechSynthesis.getVoices();
+      }, { once: true });
+    }
+
+    return this.voices;
+  },
+
+  // Get available voices
+  getVoices() {
+    if (this.voices.length === 0) {
+      this.loadVoices();
+    }
+    return this.voices;
+  },
+
+  // Find a voice by its URI or name, falling back to the language default
+  findVoice(voiceId) {
+    const voices = this.getVoices();
+    const language = SettingsManager.getLanguage();
+
+    return voices.find(v => v.voiceURI === voiceId || v.name === voiceId) ||
+           voices.find(v => v.lang && v.lang.startsWith(language) && v.default) ||
+           voices.find(v => v.lang && v.lang.startsWith(language)) ||
+           null;
+  },
+
+  // Speak text aloud
+  speakText(text, options = {}) {
+    if (!text || !text.trim()) return false;
+
+    if (!this.isSpeechSupported()) {
+      Utils.showToast('Text-to-speech not supported on this device', 'warning');
+      return false;
+    }
+
+    const speech = { ...SettingsManager.getSpeechSettings(), ...options };
+    const utterance = new SpeechSynthesisUtterance(text.trim());
+
+    const voice = this.findVoice(speech.voice);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else {
+      utterance.lang = SettingsManager.getLanguage();
+    }
+
+    utterance.rate = speech.rate;
+    utterance.pitch = speech.pitch;
+
+    utterance.onstart = () => {
+      this.isSpeaking = true;
+    };
+
+    utterance.onend = () => {
+      this.isSpeaking = false;
+    };
+
+    utterance.onerror = (event) => {
+      this.isSpeaking = false;
+      console.error('Speech synthesis failed:', event.error);
+    };
+
+    // Interrupt anything still being spoken
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return true;
+  },
+
+  // Stop speaking
+  stopSpeaking() {
+    if (this.isSpeechSupported()) {
+      window.speechSynthesis.cancel();
+    }
+    this.isSpeaking = false;
+  },
+
+  // Get engine state
+  getState() {
+    return {
+      outputText: this.outputText,
+      recognitionMode: this.recognitionMode,
+      signLanguage: this.signLanguage,
+      pendingSentences: SentenceBuilder.pendingSentences.length,
+      mood: this.currentMood,
+      isSpeaking: this.isSpeaking
+    };
+  },
+
+  // Cleanup
+  cleanup() {
+    this.stopSpeaking();
+    this.reset();
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranslationEngine;
+}
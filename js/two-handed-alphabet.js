@@ -0,0 +1,165 @@
+// js/two-handed-alphabet.js - Two-handed Manual Alphabet (BSL) Recogniser
+//
+// Letters are made by the dominant hand touching the passive hand: vowels point
+// at the passive fingertips (thumb = A ... little finger = U); L, N and M lay one,
+// two or three fingers on the passive palm (V spreads two). Each letter is a
+// template of both handshapes and where they touch; C is one-handed. Letters
+// that are traced (H, J, Z) are matched at their point of contact.
+
+const TwoHandedAlphabet = {
+  // Contact distance, in dominant palm sizes
+  contactDistance: 0.45,
+
+  // Largest difference from a handshape's finger extension that still matches
+  fingerTolerance: 0.5,
+
+  // Finger extension (0 = curled, 1 = straight); unlisted fingers are free
+  handshapes: {
+    point: { index: 1, middle: 0, ring: 0, pinky: 0 },
+    two: { index: 1, middle: 1, ring: 0, pinky: 0 },
+    three: { index: 1, middle: 1, ring: 1, pinky: 0 },
+    flat: { index: 1, middle: 1, ring: 1, pinky: 1 },
+    fist: { index: 0, middle: 0, ring: 0, pinky: 0 },
+    hook: { thumb: 0, index: 0.4, middle: 0, ring: 0, pinky: 0 },
+    hookTwo: { index: 0.4, middle: 0.4, ring: 0, pinky: 0 },
+    curve: { thumb: 1, index: 0.5, middle: 0, ring: 0, pinky: 0 },
+    little: { index: 0, middle: 0, ring: 0, pinky: 1 },
+    thumbPoint: { thumb: 1, index: 1, middle: 0, ring: 0, pinky: 0 },
+    ring: { index: 0.3, middle: 1, ring: 1, pinky: 1 },
+    bunch: { index: 0.4, middle: 0.4, ring: 0.4, pinky: 0.4 }
+  },
+
+  // Two-handed letters. contacts: [dominant point, passive point, reach] must
+  // touch, apart: the same but must not; a point is a landmark or 'palm' (palm
+  // centre) and reach is in contact distances (default 1). pinch: dominant thumb
+  // and index tips touch; spread: dominant index and middle tips apart (or not);
+  // arrangement: dominant hand 'above' or 'beside' the passive hand.
+  letterTemplates: {
+    A: { dominant: 'point', passive: 'flat', contacts: [[8, 4]] },
+    B: { dominant: 'fist', passive: 'fist', contacts: [['palm', 'palm', 3]], arrangement: 'beside' },
+    D: { dominant: 'curve', passive: 'point', contacts: [[8, 8, 1.5], [4, 5, 2]] },
+    E: { dominant: 'point', passive: 'flat', contacts: [[8, 8]] },
+    F: { dominant: 'two', passive: 'two', contacts: [[7, 7, 2], [11, 11, 2]] },
+    G: { dominant: 'fist', passive: 'fist', contacts: [['palm', 'palm', 3]], arrangement: 'above' },
+    H: { dominant: 'flat', passive: 'flat', contacts: [['palm', 'palm', 2]], apart: [[9, 9, 1.2]] },
+    I: { dominant: 'point', passive: 'flat', contacts: [[8, 12]] },
+    J: { dominant: 'point', passive: 'flat', contacts: [[8, 9]] },
+    K: { dominant: 'hook', passive: 'point', contacts: [[7, 6, 1.5]] },
+    L: { dominant: 'point', passive: 'flat', contacts: [[8, 'palm', 2]] },
+    M: { dominant: 'three', passive: 'flat', contacts: [[8, 'palm', 2], [12, 'palm', 2], [16, 'palm', 2]] },
+    N: { dominant: 'two', passive: 'flat', contacts: [[8, 'palm', 2], [12, 'palm', 2]], spread: false },
+    O: { dominant: 'point', passive: 'flat', contacts: [[8, 16]] },
+    P: { dominant: 'ring', passive: 'point', contacts: [[8, 8, 1.5]], pinch: true },
+    Q: { dominant: 'bunch', passive: 'point', contacts: [[8, 8, 1.5]], pinch: true },
+    R: { dominant: 'hook', passive: 'flat', contacts: [[8, 'palm', 2]] },
+    S: { dominant: 'little', passive: 'little', contacts: [[20, 20, 1.5]] },
+    T: { dominant: 'point', passive: 'flat', contacts: [[8, 0, 1.5]] },
+    U: { dominant: 'point', passive: 'flat', contacts: [[8, 20]] },
+    V: { dominant: 'two', passive: 'flat', contacts: [[8, 'palm', 2], [12, 'palm', 2]], spread: true },
+    W: { dominant: 'flat', passive: 'flat', contacts: [[12, 9, 1.5], [9, 12, 1.5]], apart: [['palm', 'palm', 2]] },
+    X: { dominant: 'point', passive: 'point', contacts: [[6, 6, 2]], apart: [[8, 8]] },
+    Y: { dominant: 'thumbPoint', passive: 'flat', contacts: [[5, 5, 1.5]] },
+    Z: { dominant: 'hookTwo', passive: 'flat', contacts: [[8, 'palm', 2], [12, 'palm', 2]] }
+  },
+
+  // Letters recognised by this alphabet
+  getLetters() {
+    return [...Object.keys(this.letterTemplates), 'C'].sort();
+  },
+
+  // Classify a letter from the dominant and passive hands; returns { letter, confidence } or null
+  classify(dominant, passive) {
+    if (!dominant || !dominant.landmarks) return null;
+
+    if (!passive || !passive.landmarks) {
+      return this.classifyOneHanded(dominant);
+    }
+
+    const hands = {
+      dominant: { landmarks: dominant.landmarks, fingers: GestureClassifier.getFingerStates(dominant.landmarks) },
+      passive: { landmarks: passive.landmarks, fingers: GestureClassifier.getFingerStates(passive.landmarks) },
+      palmSize: GestureClassifier.getPalmSize(dominant.landmarks)
+    };
+
+    // Closest template wins
+    let best = null;
+    Object.entries(this.letterTemplates).forEach(([letter, template]) => {
+      const confidence = this.scoreTemplate(template, hands);
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = { letter, confidence };
+      }
+    });
+
+    return best;
+  },
+
+  // Confidence (0 = no match) from how well both handshapes and contacts fit
+  scoreTemplate(template, hands) {
+    const shape = Math.min(
+      this.scoreHandshape(hands.dominant.fingers, this.handshapes[template.dominant]),
+      this.scoreHandshape(hands.passive.fingers, this.handshapes[template.passive])
+    );
+    if (shape <= 0) return 0;
+
+    const between = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) / hands.palmSize;
+    const distance = ([from, to]) =>
+      between(this.getPoint(hands.dominant.landmarks, from), this.getPoint(hands.passive.landmarks, to));
+    const limit = ([, , reach = 1]) => this.contactDistance * reach;
+
+    if ((template.apart || []).some(pair => distance(pair) < limit(pair))) return 0;
+
+    const contacts = template.contacts.map(pair => 1 - distance(pair) / limit(pair));
+    if (contacts.some(score => score <= 0)) return 0;
+
+    const own = hands.dominant.landmarks;
+    const ownDistance = (a, b) => between(own[a], own[b]);
+
+    if (template.pinch && ownDistance(4, 8) > this.contactDistance) return 0;
+    if (template.spread !== undefined && (ownDistance(8, 12) > 0.5) !== template.spread) return 0;
+    if (template.arrangement && this.getArrangement(hands) !== template.arrangement) return 0;
+
+    const contact = contacts.reduce((sum, score) => sum + score, 0) / contacts.length;
+    return 0.4 + shape * 0.3 + contact * 0.3;
+  },
+
+  // 1 for an exact handshape, falling to 0 at the finger tolerance
+  scoreHandshape(fingers, shape) {
+    const scores = Object.entries(shape)
+      .map(([name, extension]) => 1 - Math.abs(fingers[name].extension - extension) / this.fingerTolerance);
+
+    return scores.some(score => score <= 0) ? 0 : scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  },
+
+  // Dominant palm 'above' or 'beside' the passive palm
+  getArrangement(hands) {
+    const dominant = this.getPalmCentre(hands.dominant.landmarks);
+    const passive = this.getPalmCentre(hands.passive.landmarks);
+
+    return passive.y - dominant.y > Math.abs(passive.x - dominant.x) ? 'above' : 'beside';
+  },
+
+  getPoint(landmarks, point) {
+    return point === 'palm' ? this.getPalmCentre(landmarks) : landmarks[point];
+  },
+
+  // C is shown by the dominant hand alone
+  classifyOneHanded(hand) {
+    const features = Fingerspelling.extractFeatures(hand.landmarks, hand.handedness);
+    const confidence = Fingerspelling.scoreTemplate(features, Fingerspelling.letterTemplates.C);
+    return confidence > 0 ? { letter: 'C', confidence } : null;
+  },
+
+  // Centre of the palm (wrist and finger bases)
+  getPalmCentre(landmarks) {
+    const points = [0, 5, 9, 13, 17].map(i => landmarks[i]);
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TwoHandedAlphabet;
+}
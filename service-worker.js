@@ -1,4 +1,4 @@
-const CACHE_NAME = 'signspeak-v1';
+const CACHE_NAME = 'signspeak-v2';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -15,14 +15,29 @@ const urlsToCache = [
   '/js/app.js',
   '/js/camera-handler.js',
   '/js/hand-detection.js',
+  '/js/sign-languages.js',
+  '/js/lexicon-manager.js',
+  '/js/gesture-classifier.js',
+  '/js/fingerspelling.js',
+  '/js/two-handed-alphabet.js',
+  '/js/sign-recognizer.js',
+  '/js/sign-segmenter.js',
+  '/js/non-manual-markers.js',
+  '/js/gloss-grammar.js',
+  '/js/sentence-builder.js',
+  '/js/text-to-gloss.js',
   '/js/face-detection.js',
   '/js/mood-detection.js',
   '/js/avatar-manager.js',
   '/js/avatar-animator.js',
+  '/js/gif-encoder.js',
+  '/js/animation-exporter.js',
   '/js/translation-engine.js',
   '/js/storage-manager.js',
   '/js/settings-manager.js',
   '/js/utils.js',
+  '/data/lexicons/asl-core.json',
+  '/data/lexicons/bsl-core.json',
   'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
   'https://cdn.jsdelivr.net/npm/@mediapipe/hands/hands.js',
   'https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils/camera_utils.js',